@@ -3,28 +3,545 @@
 */
 angular.module('viewportFactory',[])
 
-.directive('paginationControls',[function(){
+/**
+	Labels used by the directives, by locale. A label may be a string, an object with
+	the forms "zero", "one" and "other", chosen by the "count" param, or a function that
+	receives the params. Params are interpolated in the format "{name}".
+
+	Configuration:
+		viewportLocaleProvider.setLocale("en");
+		viewportLocaleProvider.addLocale("es", {previous: "Anterior", ...});
+
+	Locales shipped: "pt" (default) and "en".
+*/
+.provider('viewportLocale', [function(){
+
+	var locales = {
+		en: {
+			info: {
+				zero: "No items to show.",
+				one: "Showing {total} item.",
+				other: "Showing items {first} to {last} of a total of {total}."
+			},
+			previous: "Previous",
+			next: "Next",
+			first: "First",
+			last: "Last",
+			pageOf: "Page {page} of {pages}",
+			pageSize: "Items per page",
+			goToPage: "Go to page",
+			go: "Go"
+		},
+		pt: {
+			info: {
+				zero: "Nenhum item para exibir.",
+				one: "Exibindo {total} item.",
+				other: "Exibindo itens {first} a {last} de um total de {total}."
+			},
+			previous: "Anterior",
+			next: "Próxima",
+			first: "Primeira",
+			last: "Última",
+			pageOf: "Página {page} de {pages}",
+			pageSize: "Itens por página",
+			goToPage: "Ir para a página",
+			go: "Ir"
+		}
+	};
+	var currentLocale = "pt";
+
+	function addLocale(name, labels) {
+		locales[name] = angular.extend({}, locales[name], labels);
+	}
+
+	function setLocale(name) {
+		if (typeof locales[name] === "undefined") {
+			throw "Unknown locale: " + name;
+		}
+		currentLocale = name;
+	}
+
+	this.addLocale = addLocale;
+	this.setLocale = setLocale;
+
+	this.$get = [function() {
+		return {
+			addLocale: addLocale,
+			setLocale: setLocale,
+			getLocale: function() {
+				return currentLocale;
+			},
+
+			/**
+				Returns the label "key" of the current locale, falling back
+				to English, with the params interpolated.
+			*/
+			translate: function(key, params) {
+				params = params || {};
+				var label = locales[currentLocale][key];
+				if (typeof label === "undefined") {
+					label = locales.en[key];
+				}
+				if (typeof label === "function") {
+					return label(params);
+				}
+				if (angular.isObject(label)) {
+					if (params.count === 0 && typeof label.zero !== "undefined") {
+						label = label.zero;
+					} else if (params.count === 1 && typeof label.one !== "undefined") {
+						label = label.one;
+					} else {
+						label = label.other;
+					}
+				}
+				if (typeof label === "undefined") {
+					return key;
+				}
+				return label.replace(/\{(\w+)\}/g, function(match, name) {
+					return typeof params[name] === "undefined" ? match : params[name];
+				});
+			}
+		};
+	}];
+}])
+
+/**
+	Pagination controls of a viewport. Must be used inside the viewport's scope.
+
+	Attributes:
+		- around: number of page links shown on each side of the current page. Defaults to 2.
+		- boundary-links: boolean indicating if links to the first and last pages are shown. Defaults to true.
+		- first-last: boolean indicating if "first" and "last" buttons are shown. Defaults to false.
+		- page-sizes: array of page sizes offered in a page size selector, e.g. "[10, 25, 50]". The selector
+					  calls "setPageSize" on the viewport scope. Defaults to no selector.
+		- go-to-page: boolean indicating if an input for going to a specific page is shown. Defaults to false.
+		- layout: "full" (default), "compact", which hides the pagination info and shows a single link on each
+				  side of the current page, or "mobile", which shows only the previous and next buttons and the
+				  current page.
+		- template-url: url of a custom template. Defaults to "/viewport/pagination.html".
+		- viewport: expression of a viewport created by ViewportFactory.create. Defaults to the scope, which must have
+					been transformed by scopeToViewport. The template accesses it as "viewport".
+
+	Labels are read from viewportLocale.
+
+	Usage:
+		<pagination-controls around="3" first-last="true" page-sizes="[10, 25, 50]"></pagination-controls>
+*/
+.directive('paginationControls',['ViewportFactory', 'viewportLocale', function(ViewportFactory, viewportLocale){
 
 	return {
 		restrict: 'E',
-		templateUrl: '/viewport/pagination.html',
+		scope: true,
+		templateUrl: function(element, attrs) {
+			return attrs.templateUrl || '/viewport/pagination.html';
+		},
+		link: function(scope, element, attrs) {
+			function getOption(name, defaultValue) {
+				return attrs[name] ? scope.$eval(attrs[name]) : defaultValue;
+			}
+
+			// Viewport whose pagination is controlled
+			scope.viewport = attrs.viewport ? scope.$eval(attrs.viewport) : scope;
+			var viewport = scope.viewport;
+
+			var layout = attrs.layout || "full";
+			scope.controls = {
+				layout: layout,
+				around: layout === "compact" ? 1 : getOption("around", 2),
+				boundaryLinks: layout === "compact" ? false : getOption("boundaryLinks", true),
+				firstLast: getOption("firstLast", false),
+				pageSizes: getOption("pageSizes", []),
+				goToPage: getOption("goToPage", false),
+				pages: [],
+				// Values of the inputs
+				pageSize: viewport.pageSize,
+				targetPage: null
+			};
+
+			scope.translate = viewportLocale.translate;
+
+			scope.onGoToPage = function() {
+				var pageNumber = parseInt(scope.controls.targetPage, 10);
+				scope.controls.targetPage = null;
+				if (isNaN(pageNumber)) {
+					return;
+				}
+				viewport.onMoveToPage(Math.max(1, Math.min(pageNumber, viewport.pagination.numberPages)));
+			};
+
+			scope.$watchGroup([function() {
+				return viewport.pagination.page;
+			}, function() {
+				return viewport.pagination.numberPages;
+			}], function() {
+				scope.controls.pages = ViewportFactory.getPageList(viewport.pagination.page, viewport.pagination.numberPages,
+					scope.controls.around, scope.controls.boundaryLinks);
+			});
+
+			scope.$watch(function() {
+				return viewport.pageSize;
+			}, function(pageSize) {
+				scope.controls.pageSize = pageSize;
+			});
+		}
+
+	}
+}])
+
+/**
+	Loads more items when the element comes close to the visible area of its scroll
+	container, calling "onLoadMore" on the viewport scope. It should be placed after
+	the list of items or before it when the viewport is reversed, in which case the
+	scroll position is kept as older items are added at the top.
+
+	Attributes:
+		- scroll-distance: distance (in pixels) from the edge of the scroll container at which
+						   the next load is triggered. Defaults to 200.
+		- scroll-container: CSS selector of the scroll container. Defaults to the closest
+							scrollable ancestor or to the window if there is none.
+		- scroll-disabled: expression which, while true, prevents loading.
+		- viewport: expression of a viewport created by ViewportFactory.create. Defaults to the scope.
+
+	Usage:
+		<div ng-repeat="item in objectsViewport">...</div>
+		<div viewport-infinite-scroll scroll-distance="300"></div>
+*/
+.directive('viewportInfiniteScroll',['$window', '$timeout', function($window, $timeout){
+
+	return {
+		restrict: 'EA',
 		link: function(scope, element, attrs) {
+			var viewport = attrs.viewport ? scope.$eval(attrs.viewport) : scope;
+			var sentinel = element[0];
+			var distance = attrs.scrollDistance ? parseInt(attrs.scrollDistance, 10) : 200;
+			var container = getScrollContainer();
+			var isVisible = false;
+			var isWaiting = false;
+			var observer = null;
+			var scrollHeightBeforeLoad = null;
+
+			function getScrollContainer() {
+				if (attrs.scrollContainer) {
+					return $window.document.querySelector(attrs.scrollContainer);
+				}
+				var parent = sentinel.parentElement;
+				while (parent && parent !== $window.document.body && parent !== $window.document.documentElement) {
+					var overflowY = $window.getComputedStyle(parent).overflowY;
+					if (overflowY === "auto" || overflowY === "scroll") {
+						return parent;
+					}
+					parent = parent.parentElement;
+				}
+				return null;
+			}
+
+			function getScrollElement() {
+				return container || $window.document.scrollingElement || $window.document.documentElement;
+			}
+
+			function canLoad() {
+				return !isWaiting && viewport.pagination.more && !viewport.flags.isLoading && !viewport.flags.isLoadingMore && !viewport.flags.loadError &&
+					!(attrs.scrollDisabled && scope.$eval(attrs.scrollDisabled));
+			}
+
+			function loadMore() {
+				if (!isVisible || !canLoad()) {
+					return;
+				}
+				isWaiting = true;
+				if (viewport.reverse) {
+					scrollHeightBeforeLoad = getScrollElement().scrollHeight;
+				}
+				scope.$evalAsync(function() {
+					viewport.onLoadMore();
+					if (!viewport.flags.isLoading && !viewport.flags.isLoadingMore) {
+						// Items were shown from cache
+						loadFinished();
+					}
+				});
+			}
+
+			function loadFinished() {
+				// Waiting for the new items to be rendered
+				$timeout(function() {
+					isWaiting = false;
+					restoreScrollPosition();
+					if (observer === null) {
+						checkPosition();
+					} else {
+						// The element may still be visible if the new items did not fill the container
+						loadMore();
+					}
+				}, 0, false);
+			}
+
+			/**
+				Used when IntersectionObserver is not available.
+			*/
+			function checkPosition() {
+				var rect = sentinel.getBoundingClientRect();
+				var top = 0;
+				var bottom = $window.innerHeight;
+				if (container) {
+					var containerRect = container.getBoundingClientRect();
+					top = containerRect.top;
+					bottom = containerRect.bottom;
+				}
+				isVisible = rect.bottom >= top - distance && rect.top <= bottom + distance;
+				loadMore();
+			}
 
+			/**
+				Keeps the items that were visible in place after older items
+				are added at the top of a reversed viewport.
+			*/
+			function restoreScrollPosition() {
+				if (scrollHeightBeforeLoad === null) {
+					return;
+				}
+				var scrollElement = getScrollElement();
+				scrollElement.scrollTop += scrollElement.scrollHeight - scrollHeightBeforeLoad;
+				scrollHeightBeforeLoad = null;
+			}
+
+			if (typeof $window.IntersectionObserver !== "undefined") {
+				observer = new $window.IntersectionObserver(function(entries) {
+					isVisible = entries[entries.length - 1].isIntersecting;
+					loadMore();
+				}, {
+					root: container,
+					rootMargin: distance + "px 0px " + distance + "px 0px"
+				});
+				observer.observe(sentinel);
+			} else {
+				angular.element(container || $window).on("scroll", checkPosition);
+				$timeout(checkPosition, 0, false);
+			}
+
+			scope.$watch(function() {
+				return viewport.flags.isLoading || viewport.flags.isLoadingMore;
+			}, function(isLoading) {
+				if (!isLoading && isWaiting) {
+					loadFinished();
+				}
+			});
+
+			scope.$watch(function() {
+				return viewport.pagination.more;
+			}, function(more) {
+				if (more) {
+					loadMore();
+				}
+			});
+
+			scope.$on("$destroy", function() {
+				if (observer !== null) {
+					observer.disconnect();
+				} else {
+					angular.element(container || $window).off("scroll", checkPosition);
+				}
+			});
+		}
+
+	}
+}])
+
+/**
+	Reports the position of a scroll container to a viewport with virtual scrolling
+	enabled and measures the items rendered inside it, which must be marked with the
+	"viewport-virtual-item" attribute. See "Virtual scrolling" in ViewportFactory. The viewport
+	is read from the "viewport" attribute, if given, or is the scope itself.
+
+	Usage:
+		<div viewport-virtual-scroll style="height: 500px; overflow-y: auto;">
+			<div ng-style="{height: virtualScroll.paddingTop + 'px'}"></div>
+			<div ng-repeat="item in virtualViewport" viewport-virtual-item="item">...</div>
+			<div ng-style="{height: virtualScroll.paddingBottom + 'px'}"></div>
+		</div>
+*/
+.directive('viewportVirtualScroll',['$window', '$timeout', function($window, $timeout){
+
+	return {
+		restrict: 'A',
+		controller: [function() {
+			var items = [];
+
+			this.addItem = function(element, getItem) {
+				var entry = {element: element, getItem: getItem};
+				items.push(entry);
+				return entry;
+			};
+
+			this.removeItem = function(entry) {
+				items.splice(items.indexOf(entry), 1);
+			};
+
+			this.getMeasures = function() {
+				return items.map(function(entry) {
+					return {item: entry.getItem(), height: entry.element[0].offsetHeight};
+				});
+			};
+		}],
+		link: function(scope, element, attrs, ctrl) {
+			var viewport = attrs.viewport ? scope.$eval(attrs.viewport) : scope;
+			var container = element[0];
+			var renderPromise = null;
+
+			function report() {
+				viewport.onVirtualScroll(container.scrollTop, container.clientHeight);
+			}
+
+			function onScroll() {
+				scope.$apply(report);
+			}
+
+			/**
+				Measures the rendered items and moves the scroll container to
+				the position set by the viewport (e.g. after items were added
+				above the visible ones).
+			*/
+			function afterRender() {
+				renderPromise = null;
+				if (!viewport.virtualScroll.itemHeight) {
+					scope.$apply(function() {
+						viewport.setItemHeights(ctrl.getMeasures());
+					});
+				}
+				if (Math.abs(container.scrollTop - viewport.virtualScroll.scrollTop) >= 1) {
+					container.scrollTop = viewport.virtualScroll.scrollTop;
+				}
+			}
+
+			function scheduleRender() {
+				if (renderPromise === null) {
+					renderPromise = $timeout(afterRender, 0, false);
+				}
+			}
+
+			element.on("scroll", onScroll);
+			angular.element($window).on("resize", onScroll);
+			scope.$watchCollection(function() {
+				return viewport.virtualViewport;
+			}, scheduleRender);
+			scope.$watch(function() {
+				return viewport.virtualScroll.scrollTop;
+			}, scheduleRender);
+			$timeout(report);
+
+			scope.$on("$destroy", function() {
+				element.off("scroll", onScroll);
+				angular.element($window).off("resize", onScroll);
+				$timeout.cancel(renderPromise);
+			});
+		}
+
+	}
+}])
+
+/**
+	Marks an item rendered inside "viewport-virtual-scroll" so that its height is
+	measured. The value of the attribute is the item.
+*/
+.directive('viewportVirtualItem',[function(){
+
+	return {
+		restrict: 'A',
+		require: '^^viewportVirtualScroll',
+		link: function(scope, element, attrs, ctrl) {
+			var entry = ctrl.addItem(element, function() {
+				return scope.$eval(attrs.viewportVirtualItem);
+			});
+			scope.$on("$destroy", function() {
+				ctrl.removeItem(entry);
+			});
 		}
 
 	}
 }])
 
-.factory('ViewportFactory', ['$interval','$rootScope', '$injector', function($interval, $rootScope, $injector) {
+/**
+	Global configuration of the viewports. See "Global configuration" in ViewportFactory.
+
+	Configuration:
+		viewportConfigProvider.setDefaults({arrayAttr: "items", autoSearchMin: 3});
+		viewportConfigProvider.addPreset("chat-feed", {reverse: true, caching: false});
+		viewportConfigProvider.addInterceptor({
+			request: function(queryParams, viewport) {
+				queryParams.tenant = "acme";
+				return queryParams;
+			}
+		});
+*/
+.provider('viewportConfig', [function(){
+
+	var defaults = {};
+	var presets = {};
+	var interceptors = [];
+
+	this.setDefaults = function(options) {
+		angular.extend(defaults, options);
+	};
+
+	this.addPreset = function(name, options) {
+		presets[name] = options;
+	};
+
+	/**
+		Interceptors are objects or names of services, as in $httpProvider.interceptors.
+	*/
+	this.addInterceptor = function(interceptor) {
+		interceptors.push(interceptor);
+	};
+
+	this.$get = ['$injector', function($injector) {
+		return {
+			defaults: defaults,
+			presets: presets,
+
+			/**
+				Returns the interceptors, getting the ones registered by name
+				from the injector.
+			*/
+			getInterceptors: function() {
+				return interceptors.map(function(interceptor) {
+					return angular.isString(interceptor) ? $injector.get(interceptor) : interceptor;
+				});
+			}
+		};
+	}];
+}])
+
+.factory('ViewportFactory', ['$interval','$rootScope', '$injector', '$timeout', '$q', '$window', 'viewportConfig', function($interval, $rootScope, $injector, $timeout, $q, $window, viewportConfig) {
 
 	/**
 		Options available:
-			- scope (required): the scope that will be transformed.
-			- ObjectService (required): the service that will be queried
+			- scope: the scope that will be transformed by "scopeToViewport", in which case it is required. When using "create",
+					 the viewport listens to the events of this scope and follows its lifetime. See "Viewport instances" below.
+			- ObjectService (required unless "localData" or "dataSource" is given): the service that will be queried. See "ObjectService"
+							below for the supported signatures.
+			- preset: name of a preset registered in viewportConfigProvider. See "Global configuration" below.
 			- allowLocalStorage: boolean indicating if local storage cache should be used. Default: false.
 			- storageIdentifier: string that is required when allowLocalStorage is true. It is used for identifying this viewport's objects in storage.
+			- storage: name of a registered storage adapter or a storage adapter object. See "Storage" below. Setting it enables the
+					   storage cache even if allowLocalStorage is false. Defaults to "localStorageService" if angular-local-storage is
+					   available, as in previous versions, and to "localStorage" otherwise.
+			- storageTTL: number of milliseconds after which the data in storage is discarded. Defaults to undefined, which never expires.
+			- storageVersion: version of the data in storage. Data saved with a different version is discarded, so it should be
+							  changed whenever the format of the items changes. Defaults to 1.
+			- storageMaxEntries: maximum number of queries stored for this viewport. The least recently saved ones are discarded.
+								 Defaults to 10.
 			- pageSize: number of items per page
+			- pageSizeParam: name of the parameter sent to ObjectService holding the page size. Required for changing the page
+							 size through "setPageSize". Defaults to undefined, in which case the page size is not sent.
 			- arrayAttr: the name of the attribute of the object sent by the server that holds the array of items. Defaults to "results".
+			- paginationMode: either "page", in which case the page number is sent to the server, or "cursor", in which case the cursor
+							  returned by the server is sent instead. See "Cursor pagination" below. Defaults to "page".
+			- cursorParam: name of the parameter that holds the cursor when using cursor pagination. Defaults to "cursor".
+			- responseAdapter: name of a registered response adapter or a function used for reading the responses sent by the server.
+							   See "Response adapters" below. Defaults to the global default, which is initially "drf".
+			- trackBy: identity of the items, used for recognizing the same item in updates, deletes, selection and revalidation.
+					   It can be the name of a field, an array of field names forming a composite key or a function that receives an
+					   item and returns its key. Defaults to "id".
 			- arraySort: function used for sorting items received from the server. This function receives two objects, "a" and "b", an should
 						 return -1 if "a" comes before "b", 1 if "a" comes after "b" and 0 if both are equal. This function is optional.
 			- queryArgs: object to be passed as a parameter to ObjectService when new objects are fetched. If the scope has a method called "getQueryArgs",
@@ -33,11 +550,18 @@ angular.module('viewportFactory',[])
 					      the search must be performed. Defaults to false.
 	        - initialSearchText: string containing the search text to be used initially. Defaults to undefined.
 			- autoSearchMin: minimum number of letters necessary to trigger auto search. Defaults to zero.
+			- autoSearchDelay: number of milliseconds to wait after the user stops typing before the auto search is performed. While
+							   waiting, "flags.isSearchPending" is true. Defaults to zero, which searches on every change.
+			- normalizeSearch: boolean indicating if the search text should be trimmed and have repeated whitespace collapsed before
+							   searching. It can also be a function that receives the text typed and returns the text to be searched.
+							   Searches whose normalized text is the same as the one being shown or loaded are ignored. Defaults to false.
 			- initialQueryArgs: object to be passed as a parameter to ObjectService when new objects are fetched for the first time. Note
 						that in the first fetch, both these args as well as "queryArgs" will be sent to the server.
 			- shouldLoad: boolean indicating if the objects should be loaded from the server right after the viewport is initialized.
 			              This defaults to true and should generally be left that way, it should only be used when the viewport is showing
 			              items that don't exist in the server and therefore querying the server would yield errors.
+			- bufferUpdates: boolean indicating if new items received in updates should be kept in "pendingUpdates" until "flushUpdates"
+							 is called, instead of being shown right away. See "Viewport updates" below. Defaults to false.
             - notifiableUpdates: boolean that, if true, indicated that whenever an object is updated, a notification should be shown to the user. The
 						   notification itself will not be shown by this factory but if a NotificationCacheManager is being used with this viewport, it will
 						   be alerted that a notification must be shown for the object. This defaults to false, which means a notification will only be
@@ -50,8 +574,252 @@ angular.module('viewportFactory',[])
 						    be used only when using DataSyncHelper.
 			- eventPolling: string indicating the name of the event that should trigger a reprocessing of the viewport. This event should
 						    be used only when using GlobalPolling.
+			- polling: object in the format {interval, sinceParam, timestampAttr} that makes the viewport look for changed items by itself.
+					   See "Polling" below. Defaults to undefined, which disables polling.
+			- liveSource: WebSocket url ("ws://" or "wss://"), EventSource url or subscribe function from which the viewport receives
+						  live updates. See "Live updates" below. Defaults to undefined.
 			- caching: boolean indicating if caching is enabled. Defaults to true;
 			- queryMethod: name of the method to be called on the ObjectService when querying for data. Defaults to "query".
+			- sorting: object with the initial server side sorting, in the format {field: "name", direction: "asc"}. Direction may be
+					   "asc" or "desc". Defaults to no sorting.
+			- orderingParam: name of the parameter sent to ObjectService holding the current sorting. Defaults to "ordering".
+			- formatOrdering: function that receives the sorting object and returns the value sent in "orderingParam". Defaults
+							  to the Django REST Framework format, i.e., "name" for ascending and "-name" for descending order.
+			- filters: object with the initial filters, which are sent to ObjectService together with the query args. Defaults to no filters.
+			- maxCachedQueries: maximum number of filter and search combinations kept in cache. Defaults to 10.
+			- saveMethod: name of the method called on ObjectService for saving new objects. Defaults to "save".
+			- updateMethod: name of the method called on ObjectService for saving existing objects. Defaults to "update".
+			- deleteMethod: name of the method called on ObjectService for deleting objects. Defaults to "delete".
+			- undoDelay: time (in milliseconds) during which an undoable delete can be undone. Defaults to 5000.
+			- syncLocation: boolean indicating if the current page, search text, sorting and filters should be kept in the url through
+							$location. It can also be a string, which is used as a prefix of the url parameters so that more than one viewport
+							can be synced in the same page. See "Url synchronization" below. Defaults to false.
+			- locationHistory: either "push", which creates a new history entry whenever the viewport's state changes, or "replace",
+							   which replaces the current entry. Used only with syncLocation. Defaults to "push".
+			- maxRetries: number of times a failed query is automatically retried before the error is reported. Defaults to 0.
+			- retryDelay: number of milliseconds to wait before the first automatic retry. The delay is doubled at each new attempt.
+						  Defaults to 1000.
+			- localData: array of items that are searched, filtered, sorted and paginated in memory instead of being queried from
+						 ObjectService. See "Client side mode" below. Defaults to undefined.
+			- dataSource: function that returns the items (or a promise of them) used instead of "localData". It receives the query params
+						  and is called on every query. Defaults to undefined.
+			- searchFields: names of the fields searched in client side mode. Nested fields may be given as "customer.name". Defaults to
+							every field holding a string.
+			- searchMatcher: function(item, searchText, searchFields) that returns true if an item matches the search in client side mode.
+							 Defaults to a case insensitive match of the search text in any of the "searchFields".
+			- virtualScroll: boolean indicating if only the items visible in the scroll container should be rendered. It can also be
+							 an object in the format {itemHeight, estimatedItemHeight, buffer}. See "Virtual scrolling" below. Defaults to false.
+
+		Viewport instances:
+			"ViewportFactory.create(options)" returns a Viewport instance holding every property and method described here, instead
+			of adding them to a scope, so that more than one viewport can be used in the same scope or with the controller-as syntax:
+				vm.orders = ViewportFactory.create({ObjectService: Order, pageSize: 10, scope: $scope});
+				<div ng-repeat="order in vm.orders.objectsViewport">...</div>
+			The methods that the original scope may implement (getQueryArgs, compareItems, preProcessUpdate, firstFetchFinished,
+			onLoadError, onCreateError, onItemError, onBulkActionError, revalidationFinished and filterLiveItem) are passed as options with the same
+			names. They are called with "this" being the viewport. When no scope is given, the viewport listens to the events broadcast
+			from $rootScope and, as it isn't destroyed along with any scope, "destroy()" must be called once it is no longer used.
+			Otherwise it keeps listening to events, polling the server and its live source open for the lifetime of the app. The
+			directives of this module receive the viewport through their "viewport" attribute, e.g.
+			<pagination-controls viewport="vm.orders"></pagination-controls>. "scopeToViewport(options)" is equivalent to "create", but
+			transforms the scope itself, which may also implement the methods above.
+
+		Global configuration:
+			The default value of any option can be changed in a config block through "viewportConfigProvider.setDefaults(options)".
+			Sets of options can be registered with "viewportConfigProvider.addPreset(name, options)" and used by passing the preset's
+			name in the "preset" option. Options passed directly override the preset's options, which override the defaults.
+
+			"viewportConfigProvider.addInterceptor(interceptor)" registers an interceptor used by every viewport. It is an object (or the
+			name of a service returning one) that may have the following functions, which are called synchronously, in the order the
+			interceptors were registered:
+				- "request(queryParams, viewport)": receives the params of every query before it is sent to ObjectService and must
+				  return the params to be sent.
+				- "response(data, headers, viewport)": receives the data of every query response before it is read by the response
+				  adapter and must return the data to be read.
+			Interceptors only apply to the queries made through the query method, including the ones made while polling. The calls
+			made by "onCreate", "onSave", "onDelete" and "onBulkAction" are sent to ObjectService unchanged, so anything that every
+			request needs, such as authentication headers, belongs in an $http interceptor.
+
+		Live updates:
+			When "liveSource" is set, the viewport connects to it and processes the messages received, which must be objects (or JSON
+			strings) in the format {type: "created", items: [...]}, where "type" may be "created", "updated" or "deleted" and "item" may
+			be used instead of "items". Created and updated items are processed by "processUpdate" and deleted items by "processDelete",
+			both with a null event, so they are queued while the viewport is paused. Created and updated items that don't match the
+			current query are left out and updated items that no longer match it are removed. An item matches the query if each of its
+			attributes with the name of a query arg or filter has the same value. If the original scope implements "filterLiveItem",
+			it is called instead, receiving the item and the query args and filters, and must return true if the item matches.
+
+			A subscribe function is called with the functions "onMessage(message)" and "onClose()" and must return a function that
+			unsubscribes. Whenever the connection is closed, it is opened again after "retryDelay" milliseconds, doubling the delay at
+			each attempt up to 30 seconds. Urls that can't be opened are retried the same way. Once it is reconnected, the first page
+			of the current query (or, without caching, the current page) is loaded again and reconciled with the items shown, as
+			done in "Revalidation", so that the updates missed are loaded while keeping the search, the cached queries, the current
+			page and the pages loaded after the first one. If a query is running, the reload waits for it to finish. With cursor
+			pagination and caching disabled, nothing is reloaded past the first page. While connected, "flags.isLiveConnected" is true.
+
+		Polling:
+			When "polling" is set, ObjectService is queried every "interval" milliseconds for the items changed since the last query,
+			with the same params as the first page (query args, filters and sorting), except for the page, plus "sinceParam" (defaults to
+			"since") holding the time of the last query as an ISO 8601 string. If the server sends its own time in the attribute
+			"timestampAttr" of the response, it is sent instead. The items received are processed by "processUpdate" (with a null
+			event), so the current page and scroll position are kept. Polling is skipped while the page is hidden, the viewport is
+			searching or paused or a query is running, and happens right away when the page becomes visible again. The "interval" is
+			required and must be a positive number.
+
+		Lifecycle:
+			Calling "destroy()" cancels the query running, sends the pending deletes, stops listening to events and watching for
+			changes and makes responses received afterwards be ignored, except for saves and deletes, whose promises are still
+			settled. It is called automatically when the scope is destroyed. While "pause()" is in effect ("flags.isPaused" is true),
+			the update, delete and polling events received are queued instead of processed. "resume()" processes them in a single
+			batch, merging consecutive events of the same kind and running at most one polling, after the updates and deletes.
+
+		Server side sorting:
+			The viewport exposes a "sorting" object holding the current field and direction and a method "onSort(field, direction)"
+			that changes it. Whenever the sorting changes, all cached pages are discarded and the items are fetched again from the
+			server, both in search mode and in normal mode. If "direction" is omitted, sorting by the same field again toggles its
+			direction. While server side sorting is active, "arraySort" is not applied, as it would only sort the cached items.
+
+		Client side mode:
+			When "localData" or "dataSource" is given, the viewport works without a server: every query searches, filters, sorts and
+			paginates the items in memory, so "onSearch", "setFilter", "onSort", "pageSize" and "setPageSize" work as usual and
+			"pagination.numberResults" and "pagination.numberPages" are computed from the matching items. Search uses "searchMatcher"
+			over the "searchFields", filters keep the items whose field equals the filter's value, and items are ordered by "sorting"
+			or, when no field is sorted, by "arraySort". The items shown are the same instances given, so changes made to them are kept.
+			Changing the array or the data returned by "dataSource" is shown after calling "onRefresh". "ObjectService" may still be
+			given for creating, saving, updating and deleting objects; its query method is not called. Methods it doesn't implement
+			are done locally, without calling a server. New objects that are saved are added to "localData" and deleted objects are
+			removed from it, so they are kept after "onRefresh". The data returned by "dataSource" isn't changed. Only page pagination
+			is supported.
+
+		Filters:
+			The viewport exposes a "filters" object that should be changed only through the methods "setFilter(name, value)",
+			"removeFilter(name)" and "clearFilters()". Every filter with a value other than null or undefined is sent to ObjectService
+			along with the query args. Each combination of filters and search text has its own cache of items and pagination, so
+			switching back to a combination that was already loaded does not query the server again. Calling "onRefresh" or "onSort"
+			discards every cached combination.
+
+		Storage:
+			When the storage cache is enabled, the first page of each query (a combination of query args, filters, sorting and search)
+			is saved in storage and shown while the same query is loaded from the server for the first time. A storage adapter is an
+			object with the methods "get(key)", "set(key, value)" and "remove(key)", which may either return the result directly or
+			return a promise, and optionally "isSupported()". The following adapters are registered in ViewportFactory.storageAdapters:
+				- "localStorage" and "sessionStorage": the browser's web storage.
+				- "memory": an in-memory store shared by every viewport, which lasts until the page is reloaded.
+				- "indexedDB": the browser's IndexedDB, suitable for large lists.
+				- "localStorageService": the localStorageService from angular-local-storage, if it is available.
+			Other adapters can be added to ViewportFactory.storageAdapters as functions that return the adapter object.
+
+		Editing:
+			Objects returned by "onCreate" that have no key (see "trackBy") are considered unsaved and have their "isUnsaved" attribute set to true.
+			"onEdit(item)" starts editing an existing object. In both cases, the object's "isEditing" attribute and "flags.editMode"
+			are set to true and a snapshot of the object is kept. The following methods apply their changes right away and then call
+			ObjectService, rolling the changes back if the call fails:
+				- "onSave(item, changes)": optionally applies "changes" to the item and calls the save method (for unsaved objects)
+				  or the update method, passing the item. The data sent back by the server is applied to the item.
+				- "onCancelEdit(item)": restores the snapshot or, for unsaved objects, removes them. ObjectService is not called.
+				- "onDelete(item)": removes the item and calls the delete method, passing the item.
+			While saving or deleting, the item's "isSaving" or "isDeleting" attribute is true. If the call fails, the item's "hasError"
+			attribute is set to true, the error is stored in "lastError" and the method "onItemError" is called with the error, the
+			item and the name of the operation ("save" or "delete") if the original scope implements it. The promises returned by
+			"onSave" and "onDelete" are resolved with the item or, if the call fails, with {failed: true, error}, so they are never
+			rejected. Unsaved objects are never counted in "pagination.numberResults" nor saved in storage.
+
+			"onDelete(item, {undoable: true, delay: ms})" removes the item right away but only calls the delete method after "delay"
+			milliseconds (or the "undoDelay" option). Until then, the item is listed in "pendingDeletes.items" and can be put back in
+			place with "pendingDeletes.undo(item)", in which case the promise returned by "onDelete" is resolved with {undone: true}.
+			Items pending deletion are left out of the results received from the server in the meantime. Pending deletes are sent right
+			away if the scope is destroyed or the page is unloaded.
+
+		Selection:
+			The viewport exposes a "selection" object for selecting items with checkboxes, which survives page changes, searches and
+			updates. It offers the methods "toggle(item)", "isSelected(item)", "selectPage()" (selects the items shown), "selectAll()"
+			(selects every item loaded), "selectAll(true)" (selects every item matching the current query, including the ones not loaded,
+			by storing the query instead of the items), "clear()" and "getItems()", as well as the "count" of selected items. In the
+			"select all matching" mode, "selection.allMatching" is true and toggling an item excludes it from the selection. Items are
+			identified by their key (see "trackBy") and deleted items are removed from the selection.
+
+			Calling "onBulkAction(methodName, options)" calls ObjectService[methodName](payload, success, error), where the payload is
+			{ids: [...]} or, in the "select all matching" mode, {query: {...}, exclude: [...]}, extended with "options.params". If
+			"options.remove" is true, the selected items are removed from the viewport afterwards, otherwise the items sent back by the
+			server (if any) are updated. The selection is then cleared. While the call is running, "flags.isBulkProcessing" is true. If it
+			fails, "flags.bulkError" is set to true and the method "onBulkActionError" is called if the original scope implements it.
+			The promise returned is resolved with the data sent by the server or, if the call fails, with {failed: true, error}.
+
+		Revalidation:
+			Items read from storage are shown right away, with "flags.isRevalidating" set to true while the first page is loaded from
+			the server. When it arrives, the items shown are reconciled with it: items that are no longer sent are removed, changed items
+			are updated and have their "updateCount" incremented, new items have "isNew" set to true and the items are reordered as the
+			server sent them. If the original scope implements a method called "revalidationFinished", it is called with an object in
+			the format {added: [...], updated: [...], removed: [...], moved: [...]}.
+
+		Virtual scrolling:
+			When "virtualScroll" is enabled, "virtualViewport" holds only the items of "objectsViewport" that are visible in the scroll
+			container, plus "buffer" items (defaults to 5) before and after them, and "virtualScroll.paddingTop" and
+			"virtualScroll.paddingBottom" hold the heights of the items left out. The "viewport-virtual-scroll" directive reports the
+			position of the scroll container and, unless "itemHeight" is given (in pixels), measures the rendered items, which must
+			have the "viewport-virtual-item" attribute. Items not yet measured are assumed to have the average height of the measured
+			ones or "estimatedItemHeight" (defaults to 40). When items are added above the visible ones (e.g. by an update), the scroll
+			position is changed so that the visible items don't move.
+				<div viewport-virtual-scroll style="height: 500px; overflow-y: auto;">
+					<div ng-style="{height: virtualScroll.paddingTop + 'px'}"></div>
+					<div ng-repeat="item in virtualViewport" viewport-virtual-item="item">...</div>
+					<div ng-style="{height: virtualScroll.paddingBottom + 'px'}"></div>
+				</div>
+
+		Url synchronization:
+			When "syncLocation" is enabled, the url parameters "page", "search", "sort" (e.g. "-name") and "filter_<name>" (prefixed
+			by the value of "syncLocation" if it is a string) mirror the state of the viewport. When the viewport is created, its
+			state is restored from the url before anything is loaded and whenever the url changes (e.g. the back button is pressed),
+			the viewport moves to the new state. Filter values that aren't strings, and strings that would be read as JSON (e.g. "123"
+			or "true"), are sent as JSON, so that their type is kept. When caching is enabled, the pages before the restored one are
+			loaded as well. With cursor pagination, the page is not kept in the url.
+
+		Page size:
+			"setPageSize(n)" changes the number of items per page, moving to the page that contains the first item shown. As the
+			server must return pages of the same size, the page size is sent in "pageSizeParam". When caching, the items already
+			loaded are shown again in pages of the new size and the server is only queried if there are not enough items cached.
+			When storage is enabled, the page size chosen is saved along with this viewport's items and restored when the viewport
+			is created again. With cursor pagination and caching disabled, the first page is loaded again.
+
+		Response adapters:
+			A response adapter is a function that receives the data sent by the server, its headers (either a getter function or an
+			object, if available) and an object with the viewport's "arrayAttr" and "pageSize". It must return an object in the format
+			{items: [...], total: 100, hasMore: true, cursor: {next: ..., previous: ...}}, where "total" may be undefined if unknown and
+			"cursor" may be omitted. The following adapters are registered in ViewportFactory.responseAdapters:
+				- "drf": Django REST Framework pagination, i.e., {count, next, previous, results}. Bare arrays are read as "array".
+				- "array": bare arrays. As there's no pagination data, there are more items only if a full page was received.
+				- "jsonapi": JSON:API documents, i.e., {data, meta: {total}, links: {next, prev}}.
+				- "headers": bare arrays (or arrays in "arrayAttr") paginated through the "X-Total-Count" and "Link: rel=next" headers.
+			Other adapters can be added to ViewportFactory.responseAdapters and the global default can be changed by calling
+			ViewportFactory.setDefaultResponseAdapter(nameOrFunction).
+
+		Cursor pagination:
+			When "paginationMode" is "cursor", the "next" and "previous" cursors returned by the response adapter are stored in
+			"pagination.nextCursor" and "pagination.previousCursor" and the "page" parameter is not sent. "onNextPage" sends the next
+			cursor and, when caching is disabled, "onPreviousPage" sends the previous one. If the server returns urls instead of tokens
+			(as Django REST Framework does), the value of "cursorParam" is extracted from the url. As the pages can't be addressed
+			directly, "onMoveToPage" only accepts the first page and the pages next to the current one, and "pagination.numberPages"
+			is only known if the server sends the total number of items.
+
+		ObjectService:
+			The query method is called as ObjectService[queryMethod](queryParams, success, error, abort) and the "create" method as
+			ObjectService.create(success, error). The method may either call the success and error callbacks or return a promise,
+			a $resource object (through its "$promise") or the promise returned by $http, in which case the response data and headers
+			are used. Whenever a newer search, page change, refresh, filter change or sorting supersedes a query that is still running,
+			the "abort" promise is resolved, so it can be used as the "timeout" of an $http call. Cancellable $resource actions are
+			cancelled through "$cancelRequest". Responses of superseded queries are always discarded.
+
+		Errors:
+			ObjectService is called with an error callback as its last argument. When a query fails, the loading flags are reset,
+			"flags.loadError" is set to true and the error received is stored in "lastError". If the original scope implements a method
+			called "onLoadError", it will be called receiving the error and the query params that were sent. Calling "onRetry()" repeats
+			the last failed operation. If "maxRetries" is set, failed queries are retried automatically with an exponential backoff and
+			the error is only reported after the last attempt.
+
+			The same applies to "onCreate", except that the flag set is "flags.createError", the method called is "onCreateError",
+			which receives only the error, and it is never retried automatically. If the data in local storage can't be read, it is
+			discarded and the items are loaded from the server. Calling a method that ObjectService doesn't implement fails
+			with the error "ObjectService has no method: <name>" instead of throwing.
 
 		Pre processing updates:
 			If some action is needed before processing an update, the original scope can implement the method $scope.preProcessUpdate. If implemented,
@@ -64,42 +832,461 @@ angular.module('viewportFactory',[])
 
 		Viewport updates:
 			Whenever an update is received, every object in the update is checked to see if it is a new object or an existing object that was updated.
-			This verification will generally be done based on the "id" of the item received from the server: if an object with the same id already exists
-			in cache, it will be updated, otherwise, a new item is added to the cache. This verification process (based on the id) can be overriden in
+			This verification will generally be done based on the key of the item received from the server, given by the "trackBy" option: if an object
+			with the same key already exists in cache, it will be updated, otherwise, a new item is added to the cache. Cached items are indexed by their
+			key, so updates and deletes don't need to look through the whole list. This verification process (based on the key) can be overriden in
 			order to provide more sofisticated comparisons if necessary. For this, if the original scope implements a method called "compareItem", then
 			this method will be called instead of verifying only their ids. The method will receive as arguments the item received from the server and the
 			item that exists in cache and it must return true if both items are the same or false if not.
+			Deleted items are looked up by key as well. The method "findObjectToDelete(id)", which receives the "trackBy" value of
+			the deleted item and returns its index in "allObjects" (or -1), may be overridden to find them in another way. New and
+			deleted items are counted in "pagination.numberResults", so the total and the number of pages stay right.
 
 			If an existing object was updated, the object's "updateCount" attribute will be incremented (starting from 1) and if a new item was received, its "isNew" attribute
-			will be set to true. These attributes can be used for displaying new items or updated items in a different way as old items. Note that these objects'
-			"updateCount" and "isNew" attributes will never be reset and, therefore, your implementation should deal with that.
+			will be set to true. These attributes can be used for displaying new items or updated items in a different way as old items. They are reset by calling
+			"markSeen(item)" or "markAllSeen()". The number of items marked as new or updated that were not seen yet, including the ones kept in
+			"pendingUpdates", is given by "unreadCount". As it is counted from the items themselves, it stays right when items are reloaded or
+			removed, and the markers of the items saved in storage are kept.
+
+			When "bufferUpdates" is true, new items are not added to the viewport right away, so that the list doesn't move while the user is reading it.
+			Instead, they are kept in "pendingUpdates.items" and their number in "pendingUpdates.count", which can be used for showing a "5 new items"
+			banner that calls "flushUpdates()" to add them to the viewport. Updated items that are already shown are still updated right away.
+
+	*/
+
+	/**
+		Reads the value of a response header. The headers may either be
+		a getter function, as sent by $http, or a plain object.
+	*/
+	function getHeader(headers, name) {
+		if (angular.isFunction(headers)) {
+			return headers(name);
+		} else if (angular.isObject(headers)) {
+			var lowerName = name.toLowerCase();
+			for (var key in headers) {
+				if (headers.hasOwnProperty(key) && key.toLowerCase() === lowerName) {
+					return headers[key];
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+		Parses a "Link" header, returning an object that maps
+		each "rel" to its url.
+	*/
+	function parseLinkHeader(header) {
+		var links = {};
+		if (!header) {
+			return links;
+		}
+		header.split(",").forEach(function(part) {
+			var match = /<([^>]*)>\s*;\s*rel="?([^";]+)"?/.exec(part);
+			if (match) {
+				match[2].split(/\s+/).forEach(function(rel) {
+					links[rel] = match[1];
+				});
+			}
+		});
+		return links;
+	}
+
+	/**
+		Built-in response adapters. See "Response adapters" above.
+	*/
+	var responseAdapters = {
+		drf: function(data, headers, context) {
+			if (angular.isArray(data)) {
+				return responseAdapters.array(data, headers, context);
+			}
+			var hasNext = data.next !== null && typeof data.next !== "undefined";
+			return {
+				items: data[context.arrayAttr],
+				total: data.count,
+				hasMore: hasNext,
+				cursor: {
+					next: hasNext ? data.next : null,
+					previous: typeof data.previous === "undefined" ? null : data.previous
+				}
+			};
+		},
+
+		array: function(data, headers, context) {
+			return {
+				items: data,
+				total: undefined,
+				hasMore: !!context.pageSize && data.length >= context.pageSize
+			};
+		},
+
+		jsonapi: function(data, headers, context) {
+			var meta = data.meta || {};
+			var links = data.links || {};
+			var total = meta.total;
+			if (typeof total === "undefined") {
+				total = typeof meta.count !== "undefined" ? meta.count : meta["total-count"];
+			}
+			return {
+				items: data.data,
+				total: total,
+				hasMore: !!links.next,
+				cursor: {
+					next: links.next || null,
+					previous: links.prev || null
+				}
+			};
+		},
+
+		headers: function(data, headers, context) {
+			var items = angular.isArray(data) ? data : data[context.arrayAttr];
+			var total = parseInt(getHeader(headers, "X-Total-Count"), 10);
+			var links = parseLinkHeader(getHeader(headers, "Link"));
+			return {
+				items: items,
+				total: isNaN(total) ? undefined : total,
+				hasMore: typeof links.next !== "undefined",
+				cursor: {
+					next: links.next || null,
+					previous: links.prev || links.previous || null
+				}
+			};
+		}
+	};
+
+	// Adapter used by viewports that don't set the "responseAdapter" option
+	var defaultResponseAdapter = "drf";
+
+	/**
+		Returns the adapter function for the name or function given.
+	*/
+	function getResponseAdapter(adapter) {
+		if (angular.isFunction(adapter)) {
+			return adapter;
+		}
+		if (!responseAdapters.hasOwnProperty(adapter)) {
+			throw "Unknown response adapter: " + adapter;
+		}
+		return responseAdapters[adapter];
+	}
+
+	/**
+		Changes the response adapter used by viewports that don't set
+		the "responseAdapter" option.
+	*/
+	function setDefaultResponseAdapter(adapter) {
+		getResponseAdapter(adapter); // Fails early for unknown adapters
+		defaultResponseAdapter = adapter;
+	}
+
+	/**
+		Returns a short hash of a string. Used for building storage keys.
+	*/
+	function hashString(value) {
+		var hash = 5381;
+		for (var i = 0; i < value.length; i++) {
+			hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+		}
+		return (hash >>> 0).toString(36) + value.length.toString(36);
+	}
+
+	/**
+		Creates a storage adapter for one of the browser's web storages,
+		i.e. "localStorage" or "sessionStorage".
+	*/
+	function createWebStorageAdapter(storageName) {
+		return {
+			isSupported: function() {
+				try {
+					var storage = $window[storageName];
+					storage.setItem("__viewport__", "");
+					storage.removeItem("__viewport__");
+					return true;
+				} catch (err) {
+					return false;
+				}
+			},
+			get: function(key) {
+				var value = $window[storageName].getItem(key);
+				return value === null ? null : angular.fromJson(value);
+			},
+			set: function(key, value) {
+				$window[storageName].setItem(key, angular.toJson(value));
+			},
+			remove: function(key) {
+				$window[storageName].removeItem(key);
+			}
+		};
+	}
+
+	// Entries of the "memory" storage adapter
+	var memoryStore = {};
+
+	// Last update of each storage index, by key. Updates of the same index are
+	// chained so that they don't overwrite each other.
+	var storageIndexUpdates = {};
+
+	/**
+		Creates a storage adapter that keeps the data in IndexedDB.
+	*/
+	function createIndexedDBAdapter() {
+		var dbPromise = null;
+
+		function openDatabase() {
+			if (dbPromise === null) {
+				dbPromise = $q(function(resolve, reject) {
+					var request = $window.indexedDB.open("angular-viewport", 1);
+					request.onupgradeneeded = function() {
+						request.result.createObjectStore("entries");
+					};
+					request.onsuccess = function() {
+						resolve(request.result);
+					};
+					request.onerror = function() {
+						reject(request.error);
+					};
+				});
+			}
+			return dbPromise;
+		}
 
+		function runTransaction(mode, action) {
+			return openDatabase().then(function(db) {
+				return $q(function(resolve, reject) {
+					var transaction = db.transaction("entries", mode);
+					var request = action(transaction.objectStore("entries"));
+					transaction.oncomplete = function() {
+						resolve(request.result);
+					};
+					transaction.onerror = transaction.onabort = function() {
+						reject(transaction.error);
+					};
+				});
+			});
+		}
+
+		return {
+			isSupported: function() {
+				return !!$window.indexedDB;
+			},
+			get: function(key) {
+				return runTransaction("readonly", function(store) {
+					return store.get(key);
+				});
+			},
+			set: function(key, value) {
+				// Removes angular's internal properties, such as $$hashKey
+				value = angular.fromJson(angular.toJson(value));
+				return runTransaction("readwrite", function(store) {
+					return store.put(value, key);
+				});
+			},
+			remove: function(key) {
+				return runTransaction("readwrite", function(store) {
+					return store["delete"](key);
+				});
+			}
+		};
+	}
+
+	/**
+		Built-in storage adapters. See "Storage" above. Each one is a
+		function that creates the adapter when it is first used.
+	*/
+	var storageAdapters = {
+		localStorage: function() {
+			return createWebStorageAdapter("localStorage");
+		},
+
+		sessionStorage: function() {
+			return createWebStorageAdapter("sessionStorage");
+		},
+
+		memory: function() {
+			return {
+				get: function(key) {
+					return memoryStore.hasOwnProperty(key) ? angular.copy(memoryStore[key]) : null;
+				},
+				set: function(key, value) {
+					memoryStore[key] = angular.fromJson(angular.toJson(value));
+				},
+				remove: function(key) {
+					delete memoryStore[key];
+				}
+			};
+		},
+
+		indexedDB: createIndexedDBAdapter,
+
+		localStorageService: function() {
+			var localStorageService;
+			try {
+				localStorageService = $injector.get('localStorageService');
+			} catch(err){}
+
+			return {
+				isSupported: function() {
+					return typeof localStorageService !== "undefined" && localStorageService.isSupported;
+				},
+				get: function(key) {
+					return localStorageService.get(key);
+				},
+				set: function(key, value) {
+					localStorageService.set(key, value);
+				},
+				remove: function(key) {
+					localStorageService.remove(key);
+				}
+			};
+		}
+	};
+
+	// Storage adapters already created, by name
+	var storageAdapterInstances = {};
+
+	/**
+		Returns the name of the storage adapter used when none is given:
+		localStorageService, if it is available, or else localStorage.
+	*/
+	function getDefaultStorage() {
+		return $injector.has('localStorageService') ? "localStorageService" : "localStorage";
+	}
+
+	/**
+		Returns the storage adapter for the name or adapter object given.
+	*/
+	function getStorageAdapter(storage) {
+		if (angular.isObject(storage)) {
+			return storage;
+		}
+		if (!storageAdapters.hasOwnProperty(storage)) {
+			throw "Unknown storage adapter: " + storage;
+		}
+		if (!storageAdapterInstances.hasOwnProperty(storage)) {
+			storageAdapterInstances[storage] = storageAdapters[storage]();
+		}
+		return storageAdapterInstances[storage];
+	}
+
+	/**
+		A viewport created by "create". See "Viewport instances" above.
+	*/
+	function Viewport() {}
+
+	// Methods that may be implemented by the original scope or passed as options
+	var hookNames = ["getQueryArgs", "compareItems", "preProcessUpdate", "firstFetchFinished", "onLoadError", "onCreateError",
+		"onItemError", "onBulkActionError", "revalidationFinished", "filterLiveItem"];
+
+	/**
+		Creates a Viewport instance. If no scope is given, the caller is
+		responsible for calling "destroy" on it.
 	*/
+	function create(options) {
+		var viewport = new Viewport();
+		setupViewport(viewport, options['scope'] || $rootScope.$new(true), options);
+		return viewport;
+	}
 
+	/**
+		Transforms a scope into a viewport.
+	*/
 	function scopeToViewport(options) {
+		setupViewport(options['scope'], options['scope'], options);
+	}
+
+	/**
+		Adds the properties and methods of a viewport to "$scope", which
+		is either a Viewport instance or the scope being transformed.
+		"eventScope" is the scope whose events are listened to.
+	*/
+	function setupViewport($scope, eventScope, options) {
 		var defaultOptions = {
 			arrayAttr: "results",
 			reverse: false,
 			shouldLoad: true,
 			notifiableUpdates: false,
 			autoSearch: false,
-			caching: true
+			autoSearchDelay: 0,
+			normalizeSearch: false,
+			caching: true,
+			paginationMode: "page",
+			cursorParam: "cursor",
+			orderingParam: "ordering",
+			formatOrdering: function(sorting) {
+				return (sorting.direction === "desc" ? "-" : "") + sorting.field;
+			},
+			maxCachedQueries: 10,
+			saveMethod: "save",
+			updateMethod: "update",
+			deleteMethod: "delete",
+			undoDelay: 5000,
+			storageVersion: 1,
+			storageMaxEntries: 10,
+			syncLocation: false,
+			locationHistory: "push",
+			maxRetries: 0,
+			retryDelay: 1000,
+			virtualScroll: false,
+			bufferUpdates: false,
+			trackBy: "id"
 		};
 
-		options = angular.extend({}, defaultOptions, options);
+		var preset = {};
+		if (typeof options['preset'] !== "undefined") {
+			if (!viewportConfig.presets.hasOwnProperty(options['preset'])) {
+				throw "Unknown preset: " + options['preset'];
+			}
+			preset = viewportConfig.presets[options['preset']];
+		}
+		options = angular.extend({}, defaultOptions, viewportConfig.defaults, preset, options);
 
-		var $scope = options['scope'];
 		var ObjectService = options['ObjectService'];
 
+		// Interceptors registered in viewportConfigProvider
+		var interceptors = viewportConfig.getInterceptors();
+
+		// Functions that stop the watchers and event listeners registered on eventScope
+		var deregistrations = [];
+
+		// Boolean indicating if "destroy" was called
+		var isDestroyed = false;
+
+		hookNames.forEach(function(name) {
+			if (typeof options[name] !== "undefined") {
+				$scope[name] = options[name];
+			}
+		});
+
 		// Boolean indicating if local storage is enabled
-		$scope.allowLocalStorage = options['allowLocalStorage'] || false;
+		$scope.allowLocalStorage = options['allowLocalStorage'] || typeof options['storage'] !== "undefined";
 
 		// Local storage identifier
 		$scope.storageIdentifier = options['storageIdentifier'];
+		if ($scope.allowLocalStorage && !$scope.storageIdentifier) {
+			throw "The option storageIdentifier is required when local storage is enabled.";
+		}
+
+		// Adapter used for saving items in storage
+		$scope.storage = $scope.allowLocalStorage ? getStorageAdapter(options['storage'] || getDefaultStorage()) : undefined;
+		if ($scope.storage && typeof $scope.storage.isSupported !== "undefined" && !$scope.storage.isSupported()) {
+			$scope.allowLocalStorage = false;
+		}
+
+		// Number of milliseconds after which data in storage expires
+		$scope.storageTTL = options['storageTTL'];
+
+		// Version of the data in storage
+		$scope.storageVersion = options['storageVersion'];
+
+		// Maximum number of queries kept in storage
+		$scope.storageMaxEntries = options['storageMaxEntries'];
 
 		// Number of items per page - can be undefined if not paginating
 		$scope.pageSize = options['pageSize'];
 
+		// Name of the parameter holding the page size
+		$scope.pageSizeParam = options['pageSizeParam'];
+
 		// Boolean indicating if paginated items offer a "previous" button.
 		// If false, then when paginating more items are added to the viewport
 		// but are never removed
@@ -110,6 +1297,12 @@ angular.module('viewportFactory',[])
 		// that should contain an array.
 		$scope.arrayAttr = options['arrayAttr'];
 
+		// Function that reads the responses sent by the server
+		$scope.responseAdapter = getResponseAdapter(options['responseAdapter'] || defaultResponseAdapter);
+
+		// Field name, array of field names or function giving the key that identifies an item
+		$scope.trackBy = options['trackBy'];
+
 		// Function used for sorting items received from the server.
 		$scope.arraySort = options['arraySort'];
 
@@ -119,15 +1312,122 @@ angular.module('viewportFactory',[])
 		// Method to be called on ObjectService when querying for items
 		$scope.queryMethod = options['queryMethod'] || "query";
 
+		// Methods to be called on ObjectService when saving new objects, saving existing objects and deleting objects
+		$scope.saveMethod = options['saveMethod'];
+		$scope.updateMethod = options['updateMethod'];
+		$scope.deleteMethod = options['deleteMethod'];
+
+		// Time during which undoable deletes can be undone
+		$scope.undoDelay = options['undoDelay'];
+
+		// State of the virtual scrolling. See "Virtual scrolling" above.
+		var virtualScrollOptions = angular.extend({estimatedItemHeight: 40, buffer: 5}, options['virtualScroll']);
+		$scope.virtualScroll = {
+			enabled: !!options['virtualScroll'],
+			itemHeight: virtualScrollOptions.itemHeight,
+			estimatedItemHeight: virtualScrollOptions.estimatedItemHeight,
+			buffer: virtualScrollOptions.buffer,
+			// Position and height of the scroll container
+			scrollTop: 0,
+			containerHeight: 0,
+			// Indices of "objectsViewport" shown in "virtualViewport"
+			start: 0,
+			end: 0,
+			paddingTop: 0,
+			paddingBottom: 0
+		};
+
+		// Boolean indicating if new items received in updates wait for "flushUpdates"
+		$scope.bufferUpdates = options["bufferUpdates"];
+
+		// Polling options. See "Polling" above.
+		$scope.polling = options["polling"] ? angular.extend({sinceParam: "since"}, options["polling"]) : undefined;
+		if ($scope.polling && !(angular.isNumber($scope.polling.interval) && $scope.polling.interval > 0)) {
+			throw "Invalid polling interval: " + $scope.polling.interval;
+		}
+
+		// WebSocket url, EventSource url or subscribe function that sends live updates. See "Live updates" above.
+		$scope.liveSource = options["liveSource"];
+
 		// Boolean indicating if search should be performed as user types
 		$scope.autoSearch = options["autoSearch"];
 
 		// Integer indicating the minimum number of letters that must be typed before auto search kicks in
 		$scope.autoSearchMin = options["autoSearchMin"] || 0;
 
+		// Number of milliseconds auto search waits for the user to stop typing
+		$scope.autoSearchDelay = options["autoSearchDelay"];
+
+		// Boolean or function indicating how the search text is normalized
+		$scope.normalizeSearch = options["normalizeSearch"];
+
 		// Boolean indicating if pages should be cached
 		$scope.caching = options["caching"];
 
+		// Either "page" or "cursor"
+		$scope.paginationMode = options["paginationMode"];
+		if ($scope.paginationMode !== "page" && $scope.paginationMode !== "cursor") {
+			throw "Invalid pagination mode: " + $scope.paginationMode;
+		}
+
+		// Array or function giving the items handled in memory. See "Client side mode" above.
+		$scope.localData = options["localData"];
+		$scope.dataSource = options["dataSource"];
+
+		// Fields and function used for searching in client side mode
+		$scope.searchFields = options["searchFields"];
+		$scope.searchMatcher = options["searchMatcher"] || matchesSearch;
+
+		// Boolean indicating if the items are handled in memory instead of being queried from ObjectService
+		var isClientSide = typeof $scope.localData !== "undefined" || typeof $scope.dataSource !== "undefined";
+		if (isClientSide) {
+			if ($scope.paginationMode !== "page") {
+				throw "Client side mode only supports page pagination.";
+			}
+			ObjectService = createLocalService(ObjectService);
+			$scope.responseAdapter = responseAdapters.drf;
+		}
+
+		// Name of the parameter that holds the cursor
+		$scope.cursorParam = options["cursorParam"];
+
+		// Name of the parameter that holds the server side sorting
+		$scope.orderingParam = options["orderingParam"];
+
+		// Function that transforms the sorting object into the value sent to the server
+		$scope.formatOrdering = options["formatOrdering"];
+
+		// Current server side sorting
+		$scope.sorting = {
+				// Name of the field used for sorting
+			field: undefined,
+				// Either "asc" or "desc"
+			direction: undefined
+		};
+		angular.extend($scope.sorting, options["sorting"]);
+
+		// Filters merged into the query args. Should only be changed through setFilter,
+		// removeFilter and clearFilters.
+		$scope.filters = angular.extend({}, options["filters"]);
+
+		// Maximum number of filter and search combinations kept in cache
+		$scope.maxCachedQueries = options["maxCachedQueries"];
+
+		// Boolean indicating if the state is kept in the url. If it is a string, it is the prefix of the url parameters.
+		$scope.syncLocation = options["syncLocation"];
+
+		// Either "push" or "replace"
+		$scope.locationHistory = options["locationHistory"];
+
+		// Only required when syncing with the url
+		var $location = $scope.syncLocation ? $injector.get('$location') : undefined;
+
+		// Number of automatic retries of a failed query
+		$scope.maxRetries = options["maxRetries"];
+
+		// Delay before the first automatic retry, in milliseconds
+		$scope.retryDelay = options["retryDelay"];
+
 		// Object passed as an argument to the query method only in the first query
 		$scope.initialQueryArgs = angular.extend({}, options['initialQueryArgs']);
 
@@ -158,9 +1458,28 @@ angular.module('viewportFactory',[])
 		// List of all search results >> necessary for caching search results
 		$scope.allSearchResults = [];
 
+		// Items of "allObjects" and "allSearchResults" by their key. See "indexItems".
+		var itemIndexes = {objects: {}, searchResults: {}};
+
 		// List of objects shown
 		$scope.objectsViewport = [];
 
+		// Objects of "objectsViewport" rendered when virtual scrolling is enabled
+		$scope.virtualViewport = [];
+
+		// New objects received while "bufferUpdates" is enabled
+		$scope.pendingUpdates = {
+			items: [],
+			count: 0
+		};
+
+		// Number of objects marked as new or updated that were not seen yet, counted from
+		// the cached objects and "pendingUpdates"
+		Object.defineProperty($scope, "unreadCount", {
+			enumerable: true,
+			get: countUnread
+		});
+
 		// Object that holds all boolean flags. Avoids binding problems.
 		$scope.flags = {};
 
@@ -183,6 +1502,62 @@ angular.module('viewportFactory',[])
 		// Used for hiding the "load more" button.
 		$scope.flags.isSearching = false;
 
+		// Boolean flag to indicate that an auto search is waiting for the user to stop typing
+		$scope.flags.isSearchPending = false;
+
+		// Boolean flag to indicate that a bulk action is being performed
+		$scope.flags.isBulkProcessing = false;
+
+		// Boolean flag to indicate that the last bulk action failed
+		$scope.flags.bulkError = false;
+
+		// Boolean flag to indicate that items read from storage are being shown while the server is queried
+		$scope.flags.isRevalidating = false;
+
+		// Boolean flag to indicate that the last query failed
+		$scope.flags.loadError = false;
+
+		// Boolean flag to indicate that the last object creation failed
+		$scope.flags.createError = false;
+
+		// Error received from ObjectService in the last failed operation
+		$scope.lastError = null;
+
+		// Function that repeats the last failed operation
+		var failedOperation = null;
+
+		// Promise of the pending automatic retry
+		var retryPromise = null;
+
+		// Query that is currently running, as returned by callService
+		var pendingRequest = null;
+
+		// Incremented whenever a query is superseded. Used for discarding outdated responses.
+		var requestCount = 0;
+
+		// Promise of the auto search waiting for the user to stop typing
+		var autoSearchPromise = null;
+
+		// Boolean indicating that the next query should send the previous cursor. Used only with cursor pagination.
+		var loadPreviousCursor = false;
+
+		// Snapshots of the objects being edited, in the format {item, snapshot}
+		var editSnapshots = [];
+
+		// Boolean indicating that the items being processed were read from storage,
+		// so they must not be saved again
+		var isReadingStorage = false;
+
+		// Number of items in the first page received, which is the one saved in storage
+		var firstPageSize = 0;
+
+		// Cursor of the page after the first one, saved in storage with the first page
+		var firstPageCursor = null;
+
+		// Page that should be reached by loading the pages before it, in the format {page, state}.
+		// Used when the page is restored from the url while caching.
+		var targetPage = null;
+
 		// Pagination data
 		$scope.pagination = {
 				// Current page of results
@@ -200,7 +1575,11 @@ angular.module('viewportFactory',[])
 				// Index of first item shown
 			firstItem: 0,
 				// Index of last item shown
-			lastItem: 0
+			lastItem: 0,
+				// Cursor of the page after the last one loaded, used only with cursor pagination
+			nextCursor: null,
+				// Cursor of the page before the current one, used only with cursor pagination
+			previousCursor: null
 		};
 
 		// Pagination cache. Used for when switching back from search results.
@@ -209,6 +1588,13 @@ angular.module('viewportFactory',[])
 		// Just an object representing the empty state to be copied when starting a search
 		var emptyPagination = angular.copy($scope.pagination);
 
+		// Items and pagination of each filter and search combination that was already loaded.
+		// Used for when switching back to a previous combination.
+		var queryCache = {};
+
+		// Keys of the query cache, from the least to the most recently used
+		var queryCacheKeys = [];
+
 		// Variable bound to the search input field
 		$scope.searchText = options.initialSearchText || "";
 
@@ -234,10 +1620,11 @@ angular.module('viewportFactory',[])
 				}
 				Array.prototype.push.apply($scope.objectsViewport, allItems);
 				calculateNumberPages();
+				refreshSelectedItems();
 				return;
 			}
 
-			if (typeof $scope.arraySort !== "undefined") {
+			if (typeof $scope.arraySort !== "undefined" && !$scope.sorting.field) {
 				$scope.allObjects.sort($scope.arraySort);
 			}
 			if ($scope.pageSize) {
@@ -269,573 +1656,3499 @@ angular.module('viewportFactory',[])
 					Array.prototype.push.apply($scope.objectsViewport, $scope.allSearchResults);
 				}
 			}
+			refreshSelectedItems();
 		}
 
 		/**
-			Callback for the create object button.
+			Called by the "viewport-virtual-scroll" directive whenever the
+			scroll container is scrolled or resized.
 		*/
-		$scope.onCreate = function () {
-			$scope.flags.isCreatingObject = true;
-			ObjectService.create(function(object) {
-				$scope.flags.isCreatingObject = false;
-				object.isEditing = true;
-				$scope.flags.editMode = true;
-				$scope.allObjects.unshift(object);
-				$scope.resetViewport();
-			});
-
+		$scope.onVirtualScroll = function(scrollTop, containerHeight) {
+			$scope.virtualScroll.scrollTop = scrollTop;
+			$scope.virtualScroll.containerHeight = containerHeight;
+			virtualAnchor = null;
+			updateVirtualWindow();
 		};
 
 		/**
-			Function that removes the object after its deletion was confirmed by the user.
-			This function is called by the children ObjectItems.
+			Called by the "viewport-virtual-scroll" directive with the heights
+			of the rendered items, in the format [{item, height}].
 		*/
-		$scope.removeObject = function(object) {
-			var idx = $scope.allObjects.indexOfObject(object);
-			$scope.allObjects.splice(idx, 1);
-			$scope.pagination.numberResults--;
-			$scope.resetViewport();
+		$scope.setItemHeights = function(measures) {
+			var changed = false;
+			measures.forEach(function(measure) {
+				var key = getItemKey(measure.item);
+				if (itemHeights[key] !== measure.height) {
+					itemHeights[key] = measure.height;
+					changed = true;
+				}
+			});
+			if (changed) {
+				updateVirtualWindow();
+			}
+			return changed;
 		};
 
-		/**
-			Alias to be used when paginating.
-		*/
-		$scope.onNextPage = function() {
-			$scope.onLoadMore();
-		};
+		// Measured heights of the items by key
+		var itemHeights = {};
+
+		// First visible item and how much of it is scrolled past, in the format {key, offset}
+		var virtualAnchor = null;
 
 		/**
-			Move to a specific page (only possible when caching is disabled)
+			Updates the items rendered by the virtual scrolling, keeping the
+			first visible item in place if items were added above it.
 		*/
-		$scope.onMoveToPage = function(pageNumber) {
-			if ($scope.caching) {
-				throw "Moving to a specific page is only possible when caching is not enabled.";
+		function updateVirtualWindow() {
+			var virtualScroll = $scope.virtualScroll;
+			if (!virtualScroll.enabled) {
+				return;
 			}
-
-			if (pageNumber > $scope.pagination.numberPages || pageNumber < 1) {
-				throw "Invalid page number: " + pageNumber;
+			var items = $scope.objectsViewport;
+			var offsets = getItemOffsets(items);
+			var totalHeight = offsets[items.length];
+
+			if (virtualAnchor !== null) {
+				var anchorIdx = -1;
+				for (var i = 0; i < items.length; i++) {
+					if (getItemKey(items[i]) === virtualAnchor.key) {
+						anchorIdx = i;
+						break;
+					}
+				}
+				if (anchorIdx !== -1) {
+					virtualScroll.scrollTop = offsets[anchorIdx] + virtualAnchor.offset;
+				}
 			}
+			virtualScroll.scrollTop = Math.max(0, Math.min(virtualScroll.scrollTop, totalHeight - virtualScroll.containerHeight));
 
-			if (pageNumber == $scope.pagination.page) {
-				return;
+			var firstVisible = 0;
+			while (firstVisible < items.length - 1 && offsets[firstVisible + 1] <= virtualScroll.scrollTop) {
+				firstVisible++;
+			}
+			var lastVisible = firstVisible;
+			while (lastVisible < items.length && offsets[lastVisible] < virtualScroll.scrollTop + virtualScroll.containerHeight) {
+				lastVisible++;
 			}
 
-			$scope.pagination.page = pageNumber - 1;
-			$scope.pagination.moreOnServer = true;
-			$scope.onLoadMore(true);
+			virtualScroll.start = Math.max(0, firstVisible - virtualScroll.buffer);
+			virtualScroll.end = Math.min(items.length, lastVisible + virtualScroll.buffer);
+			virtualScroll.paddingTop = offsets[virtualScroll.start];
+			virtualScroll.paddingBottom = totalHeight - offsets[virtualScroll.end];
+			$scope.virtualViewport.length = 0;
+			Array.prototype.push.apply($scope.virtualViewport, items.slice(virtualScroll.start, virtualScroll.end));
+
+			virtualAnchor = items.length > 0 ? {
+				key: getItemKey(items[firstVisible]),
+				offset: virtualScroll.scrollTop - offsets[firstVisible]
+			} : null;
 		}
 
 		/**
-			Recalculates the viewport to move to the previous page.
+			Returns the position of the top of each item, followed by the
+			total height of the items.
 		*/
-		$scope.onPreviousPage = function() {
-			if (!$scope.pagination.previous) {
-				throw "Pagination error: there are no previous pages. Did you forget to disable the pagination button?";
+		function getItemOffsets(items) {
+			var estimatedHeight = $scope.virtualScroll.itemHeight;
+			if (!estimatedHeight) {
+				var keys = Object.keys(itemHeights);
+				estimatedHeight = keys.length === 0 ? $scope.virtualScroll.estimatedItemHeight : keys.reduce(function(total, key) {
+					return total + itemHeights[key];
+				}, 0) / keys.length;
 			}
-			$scope.pagination.page -= 1;
-			$scope.pagination.previous = $scope.pagination.page > 1;
 
-			if ($scope.caching) {
-				$scope.resetViewport();
-			} else {
-				// Subtract 1 page again so that we can ask the server
-				// to load the next one
-				$scope.pagination.page -= 1;
-				$scope.pagination.moreOnServer = true;
-				$scope.onLoadMore();
-			}
-		};
+			var offsets = [0];
+			items.forEach(function(item, idx) {
+				var height = $scope.virtualScroll.itemHeight || itemHeights[getItemKey(item)];
+				offsets.push(offsets[idx] + (typeof height === "undefined" ? estimatedHeight : height));
+			});
+			return offsets;
+		}
+
+		if ($scope.virtualScroll.enabled) {
+			watchCollection(function() {
+				return $scope.objectsViewport;
+			}, updateVirtualWindow);
+		}
 
 		/**
-			Stores metadata about the pagination, such as total number of pages
-			and the indices of items shown.
+			Callback for the create object button.
 		*/
-		function calculateNumberPages() {
-			if (!$scope.pageSize) {
-				return;
-			}
-			if ($scope.caching) {
-				var cachedArray = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
-				if ($scope.objectsViewport.length > 0) {
-					$scope.pagination.firstItem = cachedArray.indexOfObject($scope.objectsViewport[0]) + 1;
-					$scope.pagination.lastItem = cachedArray.indexOfObject($scope.objectsViewport[$scope.objectsViewport.length - 1]) + 1;
+		$scope.onCreate = function () {
+			$scope.flags.isCreatingObject = true;
+			$scope.flags.createError = false;
+			callService("create", []).promise.then(function(response) {
+				var object = response.data;
+				$scope.flags.isCreatingObject = false;
+				if (typeof getItemKey(object) === "undefined") {
+					object.isUnsaved = true;
 				}
-			} else {
-				$scope.pagination.firstItem = $scope.pageSize * ($scope.pagination.page - 1) + 1;
-				$scope.pagination.lastItem = $scope.pagination.firstItem + $scope.objectsViewport.length - 1;
-				if ($scope.pagination.lastItem === 0) {
-					$scope.pagination.firstItem = 0;
+				startEditing(object);
+				$scope.allObjects.unshift(object);
+				indexItem($scope.allObjects, object);
+				$scope.resetViewport();
+			}, function(error) {
+				$scope.flags.isCreatingObject = false;
+				$scope.flags.createError = true;
+				$scope.lastError = error;
+				failedOperation = $scope.onCreate;
+
+				if (typeof $scope.onCreateError !== "undefined") {
+					$scope.onCreateError(error);
 				}
-			}
+			});
 
-			$scope.pagination.numberPages = Math.ceil($scope.pagination.numberResults/$scope.pageSize);
-		}
+		};
 
 		/**
-			Callback for the "load more" button.
-			The "hideLoading" parameter indicates if the operation should
-			change the "isLoading" flag. This flag is used internally and
-			should not be used directly.
+			Callback for the edit button of an existing object.
 		*/
-		$scope.onLoadMore = function (hideLoading) {
-			var isInitial = $scope.pagination.page === 0;
-			if (isInitial) {
-				if (!hideLoading) {
-					$scope.flags.isLoading = true;
+		$scope.onEdit = function(item) {
+			startEditing(item);
+		};
+
+		/**
+			Saves an object, applying "changes" to it first if they are given.
+			The object is shown as saved right away and is rolled back if the
+			server fails to save it. Returns a promise resolved with the item
+			after saving, or with {failed: true, error} if saving fails.
+		*/
+		$scope.onSave = function(item, changes) {
+			var snapshot = getSnapshot(item);
+			if (typeof changes !== "undefined") {
+				if (snapshot === null) {
+					snapshot = angular.copy(item);
 				}
-			} else {
-				$scope.flags.isLoadingMore = true;
+				angular.extend(item, changes);
 			}
-
-
-			if ($scope.pageSize && !isInitial) { // Cached pagination
-				var lowerBound = $scope.pageSize * ($scope.pagination.page);
-				var upperBound = $scope.pageSize * ($scope.pagination.page + 1);
-				var cachedArray = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
-
-				if (upperBound > cachedArray.length && $scope.pagination.moreOnServer) {
-
-					loadFromServer(false); // No more items in cache
-
-				} else if (lowerBound < cachedArray.length){
-
-					$scope.pagination.page += 1;
-					$scope.pagination.previous = $scope.pagination.page > 1;
-					$scope.resetViewport();
-					$scope.flags.isLoadingMore = false;
-
-				} else {
-					// If we got here, there was a problem, because there
-					// are no more items in the server and no more items in cache
-					throw "Pagination error: there are no more items on the server, so this function should not be called. Did you forget to disable the pagination button?";
+			var isUnsaved = !!item.isUnsaved;
+			finishEditing(item);
+
+			item.isSaving = true;
+			item.hasError = false;
+			var methodName = isUnsaved ? $scope.saveMethod : $scope.updateMethod;
+			// The promise returned must be settled even if the viewport is destroyed
+			return callService(methodName, [item], false, true).promise.then(function(response) {
+				item.isSaving = false;
+				if (angular.isObject(response.data) && !angular.isArray(response.data)) {
+					angular.extend(item, response.data);
 				}
-
-			} else { // Load more pagination
-				if ($scope.shouldLoad) {
-					loadFromServer(isInitial);
-				} else {
-					if (isInitial) {
-						$scope.flags.isLoading = false;
-					} else {
-						$scope.flags.isLoadingMore = false;
+				if (isUnsaved) {
+					delete item.isUnsaved;
+					if (isClientSide) {
+						addLocalItem(item);
+					}
+					if ($scope.allObjects.indexOf(item) !== -1) {
+						// The object received its key from the server
+						indexItem($scope.allObjects, item);
 					}
+					$scope.pagination.numberResults++;
+					calculateNumberPages();
 				}
-			}
+				updateStorage();
+				return item;
+			}, function(error) {
+				item.isSaving = false;
+				if (snapshot !== null) {
+					restoreSnapshot(item, snapshot);
+				}
+				if (isUnsaved) {
+					// The user must still be able to save the new object
+					startEditing(item);
+				}
+				return processItemError(error, item, "save");
+			});
 		};
 
 		/**
-			Discards the cached items and reloads everything.
-			The "hideLoading" parameter indicates if the operation should
-			change the "isLoading" flag. This is used for refreshing the page
-			without the user noticing.
+			Cancels editing an object, restoring it to the state it had
+			before being edited. Unsaved objects are removed.
 		*/
-		$scope.onRefresh = function(hideLoading) {
-			if ($scope.flags.isSearching) {
-				$scope.onClearSearch();
+		$scope.onCancelEdit = function(item) {
+			var snapshot = getSnapshot(item);
+			finishEditing(item);
+
+			if (item.isUnsaved) {
+				var idx = $scope.allObjects.indexOf(item);
+				if (idx !== -1) {
+					$scope.allObjects.splice(idx, 1);
+				}
+			} else if (snapshot !== null) {
+				restoreSnapshot(item, snapshot);
 			}
-
-			angular.extend($scope.pagination, emptyPagination)
-			$scope.onLoadMore(hideLoading);
+			$scope.resetViewport();
 		};
 
 		/**
-			Loads data from the server. This function is called
-			everytime a user presses the load more button when not
-			using pagination. For the case where the results are being
-			cached, this is only called when there are no more items in cache.
+			Deletes an object. The object is removed right away and put back
+			in place if the server fails to delete it. Returns a promise
+			resolved with the item after deleting, or with {failed: true, error}
+			if deleting fails. If "options.undoable" is true, the server
+			is only called after the undo delay and the promise is resolved
+			with {undone: true} if the delete is undone.
 		*/
-		function loadFromServer(isInitial, callback) {
-			var queryParams;
-			if (typeof $scope.getQueryArgs !== "undefined") {
-				queryParams = $scope.getQueryArgs(isInitial);
-			} else {
-				queryParams = angular.copy($scope.queryArgs);
+		$scope.onDelete = function(item, options) {
+			options = options || {};
+			if (item.isUnsaved) {
+				$scope.onCancelEdit(item);
+				return $q.when(item);
 			}
 
-			angular.extend(queryParams, {page:$scope.pagination.page + 1});
-			var dontIncrementPage = false;
-
-			if (isInitial) {
-				if ($scope.allowLocalStorage) { // Getting objects from local cache
-					var localStorageService;
-					try {
-						localStorageService = $injector.get('localStorageService');
-					} catch(err){}
-
-					if (typeof localStorageService !== "undefined" && localStorageService.isSupported) {
-						var data = localStorageService.get($scope.storageIdentifier);
-						if (typeof data !== "undefined" && data !== null) {
-							processServerResults(data, isInitial);
-							isInitial = false;
-							dontIncrementPage = true;
-						}
-					}
-				}
-				angular.extend(queryParams, $scope.initialQueryArgs);
+			finishEditing(item);
+			var removal = removeForDeletion(item);
+			if (!options.undoable) {
+				return sendDelete(removal);
 			}
 
-			if ($scope.flags.isSearching) {
-				queryParams.search = $scope.currentSearch;
+			var delay = typeof options.delay !== "undefined" ? options.delay : $scope.undoDelay;
+			removal.deferred = $q.defer();
+			removal.timer = $timeout(function() {
+				commitPendingDelete(removal);
+			}, delay);
+			pendingDeletes.push(removal);
+			$scope.pendingDeletes.items.push(item);
+			if (pendingDeletes.length === 1) {
+				$window.addEventListener("beforeunload", commitOnUnload);
 			}
+			return removal.deferred.promise;
+		};
 
-			var wasSearching = $scope.flags.isSearching;
-			ObjectService[$scope.queryMethod](queryParams,function(data) {
-				if (wasSearching && queryParams.search !== $scope.currentSearch) {
-					// search took too long and user typed something else
+		/**
+			Deletes waiting for the undo delay. See "Editing" above.
+		*/
+		$scope.pendingDeletes = {
+			// Items removed but not yet deleted on the server
+			items: [],
+
+			// Puts a removed item back in place without deleting it
+			undo: function(item) {
+				var removal = getPendingDelete(item);
+				if (removal === null) {
 					return;
 				}
-				processServerResults(data, isInitial, dontIncrementPage);
-			});
+				$timeout.cancel(removal.timer);
+				dropPendingDelete(removal);
+				restoreDeletedItem(removal);
+				removal.deferred.resolve({undone: true});
+			},
+
+			// Deletes every pending item on the server right away
+			commitAll: function() {
+				pendingDeletes.slice(0).forEach(function(removal) {
+					$timeout.cancel(removal.timer);
+					commitPendingDelete(removal);
+				});
+			}
 		};
 
+		// Removals waiting for the undo delay, in the format returned by removeForDeletion
+		var pendingDeletes = [];
+
 		/**
-			Processes the results received from the server:
-			- Increments pagination
-			- Stores flags indicating if there are more items on
-			  the server
-			- Resets the viewport
-			- Changes loading flags
+			Removes an item that is about to be deleted, keeping its position
+			so that it can be put back in place.
 		*/
-		function processServerResults(data, isInitial, backgroundUpdate, dontIncrementPage) {
-			var arrayData;
-			var isArray = angular.isArray(data);
-			if (!isArray) {
-				angular.extend($scope.serverData, data);
-				arrayData = data[$scope.arrayAttr];
-			} else {
-				arrayData = data;
-			}
-
-			if (backgroundUpdate) {
-				if (!dontIncrementPage) { // this flag is used when rebuilding the storage cache
-					paginationCache.page += 1;
-				}
+		function removeForDeletion(item) {
+			var removal = {
+				item: item,
+				objectsIdx: $scope.allObjects.indexOf(item),
+				searchIdx: $scope.allSearchResults.indexOf(item),
+				wasSelected: $scope.selection.isSelected(item),
+				queryState: getQueryState()
+			};
+			removeItems([item]);
+			return removal;
+		}
 
-				paginationCache.previous = paginationCache.page > 1;
-				paginationCache.more = data.next !== null;
-				paginationCache.moreOnServer = paginationCache.more;
-				paginationCache.numberResults = data.count;
-			} else {
-				if (!dontIncrementPage) { // this flag is used when rebuilding the storage cache
-					$scope.pagination.page += 1;
+		/**
+			Calls the delete method on ObjectService, putting the item back
+			in place if it fails.
+		*/
+		function sendDelete(removal) {
+			var item = removal.item;
+			item.isDeleting = true;
+			item.hasError = false;
+			// Deletes are sent by "destroy", so they must be settled afterwards
+			return callService($scope.deleteMethod, [item], false, true).promise.then(function() {
+				item.isDeleting = false;
+				if (isClientSide) {
+					removeLocalItem(item);
 				}
-				$scope.pagination.previous = $scope.pagination.page > 1;
-				$scope.pagination.more = data.next !== null;
-				$scope.pagination.moreOnServer = $scope.pagination.more;
-				$scope.pagination.numberResults = data.count;
-			}
+				return item;
+			}, function(error) {
+				item.isDeleting = false;
+				restoreDeletedItem(removal);
+				return processItemError(error, item, "delete");
+			});
+		}
 
-			if (!$scope.flags.isSearching || backgroundUpdate){
-				if (isInitial || !$scope.caching) {
-					$scope.allObjects.length = 0;
-				}
-				var addToArray = $scope.reverse ? Array.prototype.unshift : Array.prototype.push;
+		/**
+			Sends a delete whose undo delay is over.
+		*/
+		function commitPendingDelete(removal) {
+			dropPendingDelete(removal);
+			removal.deferred.resolve(sendDelete(removal));
+		}
+
+		/**
+			Puts an item removed by removeForDeletion back in place.
+		*/
+		function restoreDeletedItem(removal) {
+			var item = removal.item;
+			if (removal.wasSelected) {
+				selectItem(item);
+			}
+			if (removal.queryState !== getQueryState()) {
+				// The item was removed from another query, which must be loaded again to show it
+				clearQueryCache();
+				return;
+			}
+			if (removal.objectsIdx !== -1 && $scope.allObjects.indexOf(item) === -1) {
+				$scope.allObjects.splice(Math.min(removal.objectsIdx, $scope.allObjects.length), 0, item);
+				indexItem($scope.allObjects, item);
+			}
+			if (removal.searchIdx !== -1 && $scope.allSearchResults.indexOf(item) === -1) {
+				$scope.allSearchResults.splice(Math.min(removal.searchIdx, $scope.allSearchResults.length), 0, item);
+				indexItem($scope.allSearchResults, item);
+			}
+			if (removal.objectsIdx !== -1 || removal.searchIdx !== -1) {
+				$scope.pagination.numberResults++;
+			}
+			$scope.resetViewport();
+			updateStorage();
+		}
+
+		function getPendingDelete(item) {
+			for (var i = 0; i < pendingDeletes.length; i++) {
+				if (pendingDeletes[i].item === item) {
+					return pendingDeletes[i];
+				}
+			}
+			return null;
+		}
+
+		function dropPendingDelete(removal) {
+			pendingDeletes.splice(pendingDeletes.indexOf(removal), 1);
+			if (pendingDeletes.length === 0) {
+				$window.removeEventListener("beforeunload", commitOnUnload);
+			}
+			var idx = $scope.pendingDeletes.items.indexOf(removal.item);
+			if (idx !== -1) {
+				$scope.pendingDeletes.items.splice(idx, 1);
+			}
+		}
+
+		/**
+			Leaves the items pending deletion out of the data received from
+			the server, so that they are not shown again before being deleted.
+		*/
+		function excludePendingDeletes(data) {
+			if (pendingDeletes.length === 0) {
+				return data;
+			}
+			var keys = pendingDeletes.map(function(removal) {
+				return getItemKey(removal.item);
+			});
+			var receivedCount = data.items.length;
+			data.items = data.items.filter(function(item) {
+				return keys.indexOf(getItemKey(item)) === -1;
+			});
+			if (typeof data.total !== "undefined" && data.total !== null) {
+				// The total still counts the pending items of the current query, even if they were not received
+				var queryState = getQueryState();
+				var pendingInQuery = pendingDeletes.filter(function(removal) {
+					return removal.queryState === queryState;
+				}).length;
+				data.total = Math.max(0, data.total - Math.max(pendingInQuery, receivedCount - data.items.length));
+			}
+			return data;
+		}
+
+		/**
+			Sends the pending deletes when the page is unloaded. Only listens
+			to "beforeunload" while there are pending deletes. The listener
+			runs outside of a digest, which is needed for $http to send them.
+		*/
+		function commitOnUnload() {
+			if ($rootScope.$$phase) {
+				$scope.pendingDeletes.commitAll();
+			} else {
+				$rootScope.$apply($scope.pendingDeletes.commitAll);
+			}
+		}
+
+		/**
+			Marks an object as being edited and keeps a snapshot of it so
+			that the changes can be rolled back.
+		*/
+		function startEditing(item) {
+			if (getSnapshot(item) === null) {
+				editSnapshots.push({item: item, snapshot: angular.copy(item)});
+			}
+			item.isEditing = true;
+			$scope.flags.editMode = true;
+		}
+
+		/**
+			Marks an object as no longer being edited, discarding its snapshot.
+		*/
+		function finishEditing(item) {
+			editSnapshots = editSnapshots.filter(function(entry) {
+				return entry.item !== item;
+			});
+			item.isEditing = false;
+			$scope.flags.editMode = editSnapshots.length > 0;
+		}
+
+		/**
+			Returns the snapshot taken when the object started being
+			edited or null if it is not being edited.
+		*/
+		function getSnapshot(item) {
+			for (var i = 0; i < editSnapshots.length; i++) {
+				if (editSnapshots[i].item === item) {
+					return editSnapshots[i].snapshot;
+				}
+			}
+			return null;
+		}
+
+		/**
+			Restores the attributes an object had when the snapshot was taken.
+		*/
+		function restoreSnapshot(item, snapshot) {
+			Object.keys(item).forEach(function(key) {
+				if (key !== "$$hashKey" && !snapshot.hasOwnProperty(key)) {
+					delete item[key];
+				}
+			});
+			angular.extend(item, angular.copy(snapshot));
+			item.isEditing = false;
+		}
+
+		/**
+			Flags an object whose operation failed and notifies the original
+			scope if it implements "onItemError". Returns the status that the
+			promise of the operation is resolved with, as the error was already
+			handled.
+		*/
+		function processItemError(error, item, operation) {
+			item.hasError = true;
+			$scope.lastError = error;
+
+			if (typeof $scope.onItemError !== "undefined") {
+				$scope.onItemError(error, item, operation);
+			}
+			return {failed: true, error: error};
+		}
+
+		/**
+			Callback for the "try again" button shown after an error.
+			Repeats the last operation that failed.
+		*/
+		$scope.onRetry = function() {
+			if (failedOperation === null) {
+				return;
+			}
+			var operation = failedOperation;
+			failedOperation = null;
+			$scope.flags.loadError = false;
+			$scope.flags.createError = false;
+			$scope.flags.bulkError = false;
+			$scope.lastError = null;
+			operation();
+		};
+
+		/**
+			Function that removes the object after its deletion was confirmed by the user.
+			This function is called by the children ObjectItems.
+		*/
+		$scope.removeObject = function(object) {
+			removeItems([object]);
+		};
+
+		/**
+			Removes items from the cached objects and search results, updating
+			the number of results, the selection and the storage.
+		*/
+		function removeItems(items) {
+			var removedCount = 0;
+			var removedObjects = createItemSet();
+			var removedResults = createItemSet();
+			items.forEach(function(item) {
+				var existingObject = findItem($scope.allObjects, item);
+				if (typeof existingObject !== "undefined") {
+					removedObjects.add(existingObject);
+				}
+				var existingResult = findItem($scope.allSearchResults, item);
+				if (typeof existingResult !== "undefined") {
+					removedResults.add(existingResult);
+				}
+				if (typeof existingObject !== "undefined" || typeof existingResult !== "undefined") {
+					removedCount++;
+				}
+				unselectItem(item);
+			});
+			removeFromArray($scope.allObjects, removedObjects);
+			removeFromArray($scope.allSearchResults, removedResults);
+
+			$scope.pagination.numberResults = Math.max(0, $scope.pagination.numberResults - removedCount);
+			$scope.resetViewport();
+			updateStorage();
+		}
+
+		/**
+			Selection of items. See "Selection" above.
+		*/
+		$scope.selection = {
+			// Selected items by key. Not used in the "select all matching" mode.
+			items: {},
+			// Boolean indicating if every item matching "query" is selected
+			allMatching: false,
+			// Query params of the "select all matching" mode
+			query: null,
+			// Number of items matching "query" when they were selected
+			matchingCount: 0,
+			// Keys of items excluded from the "select all matching" mode
+			excluded: {},
+
+			toggle: function(item) {
+				if ($scope.selection.isSelected(item)) {
+					unselectItem(item);
+				} else {
+					selectItem(item);
+				}
+			},
+
+			isSelected: function(item) {
+				var key = getItemKey(item);
+				if ($scope.selection.allMatching) {
+					return !$scope.selection.excluded.hasOwnProperty(key);
+				}
+				return $scope.selection.items.hasOwnProperty(key);
+			},
+
+			selectPage: function() {
+				$scope.objectsViewport.forEach(selectItem);
+			},
+
+			selectAll: function(allMatching) {
+				if (allMatching) {
+					$scope.selection.clear();
+					$scope.selection.allMatching = true;
+					$scope.selection.query = getSelectionQuery();
+					$scope.selection.matchingCount = $scope.pagination.numberResults;
+				} else {
+					var items = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
+					items.forEach(selectItem);
+				}
+			},
+
+			clear: function() {
+				$scope.selection.items = {};
+				$scope.selection.excluded = {};
+				$scope.selection.allMatching = false;
+				$scope.selection.query = null;
+				$scope.selection.matchingCount = 0;
+			},
+
+			getItems: function() {
+				return Object.keys($scope.selection.items).map(function(key) {
+					return $scope.selection.items[key];
+				});
+			}
+		};
+
+		Object.defineProperty($scope.selection, "count", {
+			enumerable: true,
+			get: function() {
+				if ($scope.selection.allMatching) {
+					return Math.max(0, $scope.selection.matchingCount - Object.keys($scope.selection.excluded).length);
+				}
+				return Object.keys($scope.selection.items).length;
+			}
+		});
+
+		/**
+			Returns the key that identifies an item, as given by the "trackBy"
+			option, or undefined if the item has no key yet.
+		*/
+		function getItemKey(item) {
+			var id = getItemId(item);
+			if (id === null || typeof id === "undefined") {
+				return undefined;
+			}
+			if (angular.isArray($scope.trackBy) && id.some(function(value) { return value === null || typeof value === "undefined"; })) {
+				return undefined;
+			}
+			return angular.toJson(id);
+		}
+
+		/**
+			Returns the value given by the "trackBy" option for an item: the
+			value of the field, the array of values of a composite key or the
+			value returned by the function.
+		*/
+		function getItemId(item) {
+			if (angular.isFunction($scope.trackBy)) {
+				return $scope.trackBy(item);
+			} else if (angular.isArray($scope.trackBy)) {
+				return $scope.trackBy.map(function(field) {
+					return item[field];
+				});
+			}
+			return item[$scope.trackBy];
+		}
+
+		/**
+			Creates a set of items, told apart by their keys. Items without a
+			key are told apart by reference.
+		*/
+		function createItemSet() {
+			var byKey = {};
+			var withoutKey = [];
+			return {
+				items: [],
+				// Adds an item, returning false if it was already in the set
+				add: function(item) {
+					if (this.has(item)) {
+						return false;
+					}
+					var key = getItemKey(item);
+					if (typeof key === "undefined") {
+						withoutKey.push(item);
+					} else {
+						byKey[key] = item;
+					}
+					this.items.push(item);
+					return true;
+				},
+				has: function(item) {
+					var key = getItemKey(item);
+					if (typeof key === "undefined") {
+						return withoutKey.indexOf(item) !== -1;
+					}
+					return byKey.hasOwnProperty(key) && byKey[key] === item;
+				}
+			};
+		}
+
+		function selectItem(item) {
+			var key = getItemKey(item);
+			if ($scope.selection.allMatching) {
+				delete $scope.selection.excluded[key];
+			} else {
+				$scope.selection.items[key] = item;
+			}
+		}
+
+		function unselectItem(item) {
+			var key = getItemKey(item);
+			if ($scope.selection.allMatching) {
+				$scope.selection.excluded[key] = true;
+			} else {
+				delete $scope.selection.items[key];
+			}
+		}
+
+		/**
+			Updates the selected items with the instances being shown, as the
+			items may have been loaded again from the server.
+		*/
+		function refreshSelectedItems() {
+			if ($scope.selection.allMatching) {
+				return;
+			}
+			$scope.objectsViewport.forEach(function(item) {
+				var key = getItemKey(item);
+				if ($scope.selection.items.hasOwnProperty(key)) {
+					$scope.selection.items[key] = item;
+				}
+			});
+		}
+
+		/**
+			Returns the query params that identify every item matching the
+			current query, regardless of the page.
+		*/
+		function getSelectionQuery() {
+			var query = typeof $scope.getQueryArgs !== "undefined" ? $scope.getQueryArgs(false) : angular.copy($scope.queryArgs);
+			angular.forEach($scope.filters, function(value, name) {
+				if (value !== null && typeof value !== "undefined") {
+					query[name] = value;
+				}
+			});
+			if ($scope.flags.isSearching) {
+				query.search = $scope.currentSearch;
+			}
+			return query;
+		}
+
+		/**
+			Performs an action on every selected item. See "Selection" above.
+			Returns a promise resolved with the data sent by the server after
+			the action is performed, or with {failed: true, error} if it fails.
+		*/
+		$scope.onBulkAction = function(methodName, options) {
+			options = options || {};
+			var selection = $scope.selection;
+			var payload = angular.extend({}, options.params);
+			if (selection.allMatching) {
+				payload.query = selection.query;
+				payload.exclude = Object.keys(selection.excluded).map(angular.fromJson);
+			} else {
+				payload.ids = Object.keys(selection.items).map(angular.fromJson);
+			}
+			var selectedItems = selection.getItems();
+			var allMatching = selection.allMatching;
+
+			$scope.flags.isBulkProcessing = true;
+			$scope.flags.bulkError = false;
+			return callService(methodName, [payload]).promise.then(function(response) {
+				$scope.flags.isBulkProcessing = false;
+				$scope.selection.clear();
+
+				if (allMatching && options.remove) {
+					// The affected items that are not loaded are unknown
+					$scope.onRefresh(true);
+				} else if (options.remove) {
+					removeItems(selectedItems);
+				} else {
+					updateItems(getResponseItems(response.data));
+				}
+				return response.data;
+			}, function(error) {
+				$scope.flags.isBulkProcessing = false;
+				$scope.flags.bulkError = true;
+				$scope.lastError = error;
+				failedOperation = function() {
+					$scope.onBulkAction(methodName, options);
+				};
+
+				if (typeof $scope.onBulkActionError !== "undefined") {
+					$scope.onBulkActionError(error, methodName);
+				}
+				// The error was already handled, so the promise is not rejected
+				return {failed: true, error: error};
+			});
+		};
+
+		/**
+			Returns the items sent back by the server after an action, or
+			an empty array if the server did not send any.
+		*/
+		function getResponseItems(data) {
+			if (angular.isArray(data)) {
+				return data;
+			} else if (data && angular.isArray(data[$scope.arrayAttr])) {
+				return data[$scope.arrayAttr];
+			}
+			return [];
+		}
+
+		/**
+			Updates the cached items with the ones received from the server.
+			Items that aren't cached are ignored.
+		*/
+		function updateItems(items) {
+			items.forEach(function(item) {
+				[$scope.allObjects, $scope.allSearchResults].forEach(function(array) {
+					var existingItem = findItem(array, item);
+					if (typeof existingItem !== "undefined") {
+						angular.extend(existingItem, item);
+					}
+				});
+			});
+			if (items.length > 0) {
+				$scope.resetViewport();
+				updateStorage();
+			}
+		}
+
+		/**
+			Alias to be used when paginating.
+		*/
+		$scope.onNextPage = function() {
+			$scope.onLoadMore();
+		};
+
+		/**
+			Move to a specific page. When caching, the pages before it are
+			loaded first if they were not loaded yet.
+		*/
+		$scope.onMoveToPage = function(pageNumber) {
+			if ($scope.paginationMode === "cursor") {
+				return moveToCursorPage(pageNumber);
+			}
+
+			if (pageNumber > $scope.pagination.numberPages || pageNumber < 1) {
+				throw "Invalid page number: " + pageNumber;
+			}
+
+			if (pageNumber == $scope.pagination.page) {
+				return;
+			}
+
+			if ($scope.caching) {
+				goToPage(parseInt(pageNumber, 10));
+				return;
+			}
+
+			$scope.pagination.page = pageNumber - 1;
+			$scope.pagination.moreOnServer = true;
+			$scope.onLoadMore(true);
+		}
+
+		/**
+			Changes the number of items per page. See "Page size" above.
+		*/
+		$scope.setPageSize = function(pageSize) {
+			pageSize = parseInt(pageSize, 10);
+			if (isNaN(pageSize) || pageSize < 1) {
+				throw "Invalid page size: " + pageSize;
+			}
+			if ($scope.shouldLoad && !$scope.pageSizeParam && !isClientSide) {
+				throw "The option pageSizeParam is required for changing the page size.";
+			}
+			if (pageSize === $scope.pageSize) {
+				return;
+			}
+
+			var firstItem = $scope.pagination.firstItem || 1;
+			$scope.pageSize = pageSize;
+			savePageSize();
+			if ($scope.pagination.page === 0) {
+				// The first page will already be loaded with the new size
+				return;
+			}
+
+			var pageNumber = Math.max(1, Math.ceil(firstItem / pageSize));
+			if (!$scope.caching) {
+				if ($scope.paginationMode === "cursor") {
+					$scope.onRefresh();
+					return;
+				}
+				$scope.pagination.page = pageNumber - 1;
+				$scope.pagination.moreOnServer = true;
+				$scope.onLoadMore(true);
+				return;
+			}
+
+			var cachedArray = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
+			if (pageSize * pageNumber > cachedArray.length && $scope.pagination.moreOnServer) {
+				// Items already cached are merged with the ones received
+				$scope.pagination.page = pageNumber - 1;
+				$scope.onLoadMore();
+			} else {
+				cancelLoadMore();
+				$scope.pagination.page = pageNumber;
+				$scope.pagination.previous = pageNumber > 1;
+				$scope.resetViewport();
+			}
+		};
+
+		function getPageSizeStorageKey() {
+			return $scope.storageIdentifier + ":pageSize";
+		}
+
+		/**
+			Saves the page size chosen in storage, if it is enabled.
+		*/
+		function savePageSize() {
+			if (!$scope.allowLocalStorage) {
+				return;
+			}
+			$q.when().then(function() {
+				return $scope.storage.set(getPageSizeStorageKey(), $scope.pageSize);
+			}).catch(angular.noop);
+		}
+
+		/**
+			Restores the page size saved in storage. If the storage adapter
+			returns it right away, it is used for loading the first page.
+		*/
+		function restorePageSize() {
+			if (!$scope.allowLocalStorage || !$scope.pageSize || !$scope.pageSizeParam) {
+				return;
+			}
+			var pageSize;
+			try {
+				pageSize = $scope.storage.get(getPageSizeStorageKey());
+			} catch (err) {
+				return;
+			}
+			if (pageSize && typeof pageSize.then === "function") {
+				$q.when(pageSize).then(function(value) {
+					if (value) {
+						$scope.setPageSize(value);
+					}
+				}).catch(angular.noop);
+			} else if (pageSize) {
+				$scope.pageSize = pageSize;
+			}
+		}
+
+		/**
+			Moves to a page when using cursor pagination. Only the first
+			page and the pages next to the current one can be reached.
+		*/
+		function moveToCursorPage(pageNumber) {
+			if (pageNumber == $scope.pagination.page) {
+				return;
+			} else if (pageNumber == $scope.pagination.page + 1) {
+				$scope.onNextPage();
+			} else if (pageNumber == $scope.pagination.page - 1) {
+				$scope.onPreviousPage();
+			} else if (pageNumber == 1) {
+				moveToFirstPage();
+			} else {
+				throw "Invalid page number: " + pageNumber + ". With cursor pagination only the first page and the pages next to the current one can be reached.";
+			}
+		}
+
+		/**
+			Moves to the first page of the current query, keeping the search
+			and the cached queries. Without caching, the first page is loaded
+			again from the server.
+		*/
+		function moveToFirstPage() {
+			cancelLoadMore();
+			if ($scope.caching) {
+				$scope.pagination.page = 1;
+				$scope.pagination.previous = false;
+				$scope.resetViewport();
+			} else {
+				angular.extend($scope.pagination, emptyPagination);
+				$scope.onLoadMore();
+			}
+		}
+
+		/**
+			Recalculates the viewport to move to the previous page.
+		*/
+		$scope.onPreviousPage = function() {
+			if (!$scope.pagination.previous) {
+				throw "Pagination error: there are no previous pages. Did you forget to disable the pagination button?";
+			}
+			cancelLoadMore();
+			$scope.pagination.page -= 1;
+			$scope.pagination.previous = $scope.pagination.page > 1;
+
+			if ($scope.caching) {
+				$scope.resetViewport();
+			} else {
+				// Subtract 1 page again so that we can ask the server
+				// to load the next one
+				$scope.pagination.page -= 1;
+				$scope.pagination.moreOnServer = true;
+				loadPreviousCursor = $scope.paginationMode === "cursor";
+				$scope.onLoadMore();
+			}
+		};
+
+		/**
+			Stores metadata about the pagination, such as total number of pages
+			and the indices of items shown.
+		*/
+		function calculateNumberPages() {
+			if (!$scope.pageSize) {
+				return;
+			}
+			if ($scope.caching) {
+				var cachedArray = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
+				if ($scope.objectsViewport.length > 0) {
+					$scope.pagination.firstItem = cachedArray.indexOf($scope.objectsViewport[0]) + 1;
+					$scope.pagination.lastItem = cachedArray.indexOf($scope.objectsViewport[$scope.objectsViewport.length - 1]) + 1;
+				}
+			} else {
+				$scope.pagination.firstItem = $scope.pageSize * ($scope.pagination.page - 1) + 1;
+				$scope.pagination.lastItem = $scope.pagination.firstItem + $scope.objectsViewport.length - 1;
+				if ($scope.pagination.lastItem === 0) {
+					$scope.pagination.firstItem = 0;
+				}
+			}
+
+			$scope.pagination.numberPages = Math.ceil($scope.pagination.numberResults/$scope.pageSize);
+		}
+
+		/**
+			Callback for the "load more" button.
+			The "hideLoading" parameter indicates if the operation should
+			change the "isLoading" flag. This flag is used internally and
+			should not be used directly.
+		*/
+		$scope.onLoadMore = function (hideLoading) {
+			var isInitial = $scope.pagination.page === 0;
+			if (isInitial) {
+				if (!hideLoading) {
+					$scope.flags.isLoading = true;
+				}
+			} else {
+				$scope.flags.isLoadingMore = true;
+			}
+
+
+			if ($scope.pageSize && !isInitial) { // Cached pagination
+				var lowerBound = $scope.pageSize * ($scope.pagination.page);
+				var upperBound = $scope.pageSize * ($scope.pagination.page + 1);
+				var cachedArray = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
+
+				if (upperBound > cachedArray.length && $scope.pagination.moreOnServer) {
+
+					loadFromServer(false); // No more items in cache
+
+				} else if (lowerBound < cachedArray.length){
+
+					$scope.pagination.page += 1;
+					$scope.pagination.previous = $scope.pagination.page > 1;
+					$scope.resetViewport();
+					$scope.flags.isLoadingMore = false;
+
+				} else {
+					// If we got here, there was a problem, because there
+					// are no more items in the server and no more items in cache
+					throw "Pagination error: there are no more items on the server, so this function should not be called. Did you forget to disable the pagination button?";
+				}
+
+			} else { // Load more pagination
+				if ($scope.shouldLoad) {
+					loadFromServer(isInitial);
+				} else {
+					if (isInitial) {
+						$scope.flags.isLoading = false;
+					} else {
+						$scope.flags.isLoadingMore = false;
+					}
+				}
+			}
+		};
+
+		/**
+			Discards the cached items and reloads everything.
+			The "hideLoading" parameter indicates if the operation should
+			change the "isLoading" flag. This is used for refreshing the page
+			without the user noticing.
+		*/
+		$scope.onRefresh = function(hideLoading) {
+			if ($scope.flags.isSearching) {
+				$scope.onClearSearch(true);
+			}
+
+			clearQueryCache();
+			angular.extend($scope.pagination, emptyPagination)
+			$scope.onLoadMore(hideLoading);
+		};
+
+		/**
+			Callback for sortable column headers. Changes the server side sorting
+			and reloads the items from the first page. If "direction" is not given,
+			sorting by the current field toggles its direction and sorting by a
+			new field starts in ascending order. Calling it without a field
+			removes the sorting.
+		*/
+		$scope.onSort = function(field, direction) {
+			if (typeof direction === "undefined" && field) {
+				if (field === $scope.sorting.field) {
+					direction = $scope.sorting.direction === "asc" ? "desc" : "asc";
+				} else {
+					direction = "asc";
+				}
+			}
+
+			if (direction !== "asc" && direction !== "desc" && field) {
+				throw "Invalid sorting direction: " + direction;
+			}
+
+			$scope.sorting.field = field || undefined;
+			$scope.sorting.direction = field ? direction : undefined;
+			discardSortedItems();
+			$scope.onLoadMore();
+		};
+
+		/**
+			Discards every cached item after the sorting changed, as they were
+			all sorted differently. The non search cache is reloaded when the
+			search is cleared.
+		*/
+		function discardSortedItems() {
+			$scope.allObjects.length = 0;
+			$scope.allSearchResults.length = 0;
+			indexItems();
+			paginationCache = angular.copy(emptyPagination);
+			clearQueryCache();
+			angular.extend($scope.pagination, emptyPagination);
+		}
+
+		/**
+			Returns the cursor that should be sent to the server. If the server
+			sent a url, the cursor is extracted from its query string.
+		*/
+		function getCursorValue(cursor) {
+			if (typeof cursor === "string") {
+				var match = new RegExp("[?&]" + $scope.cursorParam + "=([^&#]*)").exec(cursor);
+				if (match) {
+					return decodeURIComponent(match[1].replace(/\+/g, " "));
+				}
+			}
+			return cursor;
+		}
+
+		/**
+			Returns the value that should be sent in the ordering parameter
+			or undefined if no sorting is active.
+		*/
+		function getOrdering() {
+			if (!$scope.sorting.field) {
+				return undefined;
+			}
+			return $scope.formatOrdering($scope.sorting);
+		}
+
+		/**
+			Sets the value of a filter and shows the items matching the new
+			filters. Setting a filter to null or undefined removes it.
+		*/
+		$scope.setFilter = function(name, value) {
+			if (value === null || typeof value === "undefined") {
+				return $scope.removeFilter(name);
+			}
+			if (angular.equals($scope.filters[name], value)) {
+				return;
+			}
+			changeFilters(function() {
+				$scope.filters[name] = value;
+			});
+		};
+
+		/**
+			Removes a filter and shows the items matching the remaining filters.
+		*/
+		$scope.removeFilter = function(name) {
+			if (!$scope.filters.hasOwnProperty(name)) {
+				return;
+			}
+			changeFilters(function() {
+				delete $scope.filters[name];
+			});
+		};
+
+		/**
+			Removes all filters.
+		*/
+		$scope.clearFilters = function() {
+			if (Object.keys($scope.filters).length === 0) {
+				return;
+			}
+			changeFilters(function() {
+				angular.forEach(Object.keys($scope.filters), function(name) {
+					delete $scope.filters[name];
+				});
+			});
+		};
+
+		/**
+			Saves the items of the current filters in cache, applies the changes
+			made by "change" and then restores the items of the new filters from cache.
+			If the new filters were never loaded, the items are fetched from the server.
+		*/
+		function changeFilters(change, dontShow) {
+			var isSearching = $scope.flags.isSearching;
+			var nonSearchPagination = isSearching ? paginationCache : $scope.pagination;
+
+			saveToCache(getCacheKey(), $scope.allObjects, nonSearchPagination);
+			if (isSearching) {
+				saveToCache(getCacheKey($scope.currentSearch), $scope.allSearchResults, $scope.pagination);
+			}
+
+			change();
+
+			restoreFromCache(getCacheKey(), $scope.allObjects, nonSearchPagination);
+			if (isSearching) {
+				restoreFromCache(getCacheKey($scope.currentSearch), $scope.allSearchResults, $scope.pagination);
+			}
+
+			if (!dontShow) {
+				showRestoredItems();
+			}
+		}
+
+		/**
+			Shows the items that were restored from cache or loads
+			them from the server if nothing was found in cache.
+		*/
+		function showRestoredItems() {
+			// Requests for other combinations may still be running
+			cancelPendingRequest();
+			$scope.flags.isLoading = false;
+			$scope.flags.isLoadingMore = false;
+
+			if ($scope.pagination.page === 0) {
+				if ($scope.shouldLoad) {
+					$scope.onLoadMore();
+				}
+			} else {
+				$scope.resetViewport();
+			}
+		}
+
+		/**
+			Returns the key that identifies the current filters combined
+			with a search term in the query cache.
+		*/
+		function getCacheKey(search) {
+			var filters = Object.keys($scope.filters).sort().map(function(name) {
+				return [name, $scope.filters[name]];
+			});
+			return angular.toJson({filters: filters, search: search || ""});
+		}
+
+		/**
+			Stores a copy of the items and pagination in the query cache.
+			The least recently used combination is discarded when the cache
+			is full. Combinations that were not loaded are not stored.
+		*/
+		function saveToCache(key, items, pagination) {
+			if (pagination.page === 0) {
+				return;
+			}
+
+			var keyIdx = queryCacheKeys.indexOf(key);
+			if (keyIdx !== -1) {
+				queryCacheKeys.splice(keyIdx, 1);
+			}
+			queryCacheKeys.push(key);
+			queryCache[key] = {
+				items: items.slice(0),
+				pagination: angular.copy(pagination)
+			};
+
+			while (queryCacheKeys.length > $scope.maxCachedQueries) {
+				delete queryCache[queryCacheKeys.shift()];
+			}
+		}
+
+		/**
+			Replaces the content of the items array and the pagination object
+			with the ones stored in the query cache. If there's nothing in cache,
+			both are emptied. Returns a boolean indicating if the key was found.
+		*/
+		function restoreFromCache(key, items, pagination) {
+			var cached = queryCache[key];
+			items.length = 0;
+			if (typeof cached === "undefined") {
+				angular.extend(pagination, emptyPagination);
+			} else {
+				Array.prototype.push.apply(items, cached.items);
+				angular.extend(pagination, cached.pagination);
+			}
+			indexItems();
+			return typeof cached !== "undefined";
+		}
+
+		/**
+			Discards every filter and search combination stored in cache.
+		*/
+		function clearQueryCache() {
+			queryCache = {};
+			queryCacheKeys.length = 0;
+		}
+
+		/**
+			Returns a string representing the sorting and filters of the
+			current query. Used for discarding results of outdated requests.
+		*/
+		function getQueryState() {
+			return angular.toJson([getOrdering(), getCacheKey()]);
+		}
+
+		/**
+			Loads data from the server. This function is called
+			everytime a user presses the load more button when not
+			using pagination. For the case where the results are being
+			cached, this is only called when there are no more items in cache.
+			If "isReload" is true, the first page (or, without caching, the current
+			page) is loaded again and reconciled with the items shown (see "revalidate").
+		*/
+		function loadFromServer(isInitial, isReload) {
+			// A newer query replaces any running or failed one
+			cancelPendingRequest();
+			var requestId = requestCount;
+			failedOperation = null;
+			$scope.flags.loadError = false;
+
+			var queryParams;
+			if (typeof $scope.getQueryArgs !== "undefined") {
+				queryParams = $scope.getQueryArgs(isInitial);
+			} else {
+				queryParams = angular.copy($scope.queryArgs);
+			}
+
+			if ($scope.paginationMode === "cursor") {
+				var cursor = loadPreviousCursor ? $scope.pagination.previousCursor : $scope.pagination.nextCursor;
+				if (!isInitial && !isReload && cursor !== null && typeof cursor !== "undefined") {
+					queryParams[$scope.cursorParam] = getCursorValue(cursor);
+				}
+			} else {
+				angular.extend(queryParams, {page: isReload ? getReloadedPage() : $scope.pagination.page + 1});
+			}
+			if ($scope.pageSizeParam && $scope.pageSize) {
+				queryParams[$scope.pageSizeParam] = $scope.pageSize;
+			}
+			loadPreviousCursor = false;
+			var isRevalidation = !!isReload;
+			$scope.flags.isRevalidating = isRevalidation;
+
+			addFiltersAndOrdering(queryParams);
+			var queryState = getQueryState();
+
+			// Local storage only holds the first page
+			var readFromStorage = isInitial && $scope.allowLocalStorage && $scope.pagination.page === 0 && targetPage === null;
+			var storageKey = readFromStorage ? getStorageKey() : undefined;
+
+			if (isInitial) {
+				angular.extend(queryParams, $scope.initialQueryArgs);
+			}
+
+			if ($scope.flags.isSearching) {
+				queryParams.search = $scope.currentSearch;
+			}
+
+			var wasSearching = $scope.flags.isSearching;
+			var searchText = queryParams.search;
+			var attempt = 0;
+			queryParams = interceptRequest(queryParams);
+
+			function isOutdated() {
+				if (requestId !== requestCount) {
+					// a newer query was made or this one was cancelled
+					return true;
+				}
+				if (wasSearching && searchText !== $scope.currentSearch) {
+					// search took too long and user typed something else
+					return true;
+				}
+				// sorting or filters changed while the request was being made
+				return queryState !== getQueryState();
+			}
+
+			function query() {
+				retryPromise = null;
+				var requestedAt = new Date().toISOString();
+				var request = pendingRequest = callService($scope.queryMethod, [queryParams], true);
+				request.promise.then(function(response) {
+					if (isOutdated()) {
+						return;
+					}
+					pendingRequest = null;
+					var data;
+					try {
+						data = adaptResponse(response.data, response.headers);
+					} catch (err) {
+						// A response that can't be read is reported as any other error
+						processLoadError(err, queryParams, retry);
+						return;
+					}
+					if (isInitial || isReload) {
+						updatePollingTimestamp(response.data, requestedAt);
+					}
+					if (isRevalidation) {
+						revalidate(data);
+					} else {
+						processServerResults(data, isInitial);
+					}
+					continueToTargetPage();
+					runPendingReload();
+				}, function(error) {
+					if (isOutdated()) {
+						return;
+					}
+					pendingRequest = null;
+					if (attempt < $scope.maxRetries) {
+						retryPromise = $timeout(query, $scope.retryDelay * Math.pow(2, attempt));
+						attempt++;
+						return;
+					}
+					processLoadError(error, queryParams, retry);
+				});
+			}
+
+			function retry() {
+				if (isOutdated()) {
+					return;
+				}
+				if (isRevalidation) {
+					$scope.flags.isRevalidating = true;
+				} else if (isInitial) {
+					$scope.flags.isLoading = true;
+				} else {
+					$scope.flags.isLoadingMore = true;
+				}
+				attempt = 0;
+				query();
+			}
+
+			if (!readFromStorage) {
+				query();
+				return;
+			}
+
+			// Getting objects from local cache. Until they are read, the query is considered running.
+			pendingRequest = {cancel: angular.noop};
+			readStorage(storageKey).then(function(data) {
+				if (isOutdated() || data === null) {
+					return;
+				}
+				isReadingStorage = true;
+				try {
+					angular.extend($scope.serverData, data.serverData);
+					processServerResults(data, isInitial);
+					isRevalidation = true;
+					$scope.flags.isRevalidating = true;
+				} catch (err) {
+					// Corrupted or outdated data, load everything from the server
+					removeFromStorage(storageKey);
+					$scope.allObjects.length = 0;
+					$scope.allSearchResults.length = 0;
+					indexItems();
+					angular.extend($scope.pagination, emptyPagination);
+					$scope.flags.isLoading = true;
+				} finally {
+					isReadingStorage = false;
+				}
+			}).then(function() {
+				if (!isOutdated()) {
+					query();
+				}
+			});
+		};
+
+		/**
+			Returns the page loaded again by a reload. Without caching, only
+			the current page is shown, so it is the one reconciled.
+		*/
+		function getReloadedPage() {
+			return $scope.caching ? 1 : Math.max($scope.pagination.page, 1);
+		}
+
+		/**
+			Indicates if a query is running or waiting for an automatic retry.
+		*/
+		function isQueryRunning() {
+			return pendingRequest !== null || retryPromise !== null;
+		}
+
+		/**
+			Cancels the query loading the next page, if any, as the user moved
+			to another page before it was received.
+		*/
+		function cancelLoadMore() {
+			if ($scope.flags.isLoadingMore) {
+				cancelPendingRequest();
+				$scope.flags.isLoadingMore = false;
+				runPendingReload();
+			}
+		}
+
+		/**
+			Cancels the query that is currently running, as well as any pending
+			automatic retry, so that its response is discarded.
+		*/
+		function cancelPendingRequest() {
+			requestCount++;
+			$scope.flags.isRevalidating = false;
+			$timeout.cancel(retryPromise);
+			retryPromise = null;
+			if (pendingRequest !== null) {
+				pendingRequest.cancel();
+				pendingRequest = null;
+			}
+		}
+
+		/**
+			Calls a method of ObjectService with the arguments given followed by
+			success and error callbacks and, if "abortable" is true, an abort promise.
+			The method may either use the callbacks or return a promise, a $resource
+			object or an $http promise.
+
+			Returns an object with a "promise" that is resolved with {data, headers}
+			or rejected with the error, and a "cancel" function that aborts the request.
+			Responses received after "destroy" is called are ignored, unless
+			"settleAfterDestroy" is true.
+		*/
+		function callService(methodName, args, abortable, settleAfterDestroy) {
+			var deferred = $q.defer();
+			var abort = $q.defer();
+
+			if (!ObjectService || !angular.isFunction(ObjectService[methodName])) {
+				deferred.reject("ObjectService has no method: " + methodName);
+				return {promise: deferred.promise, cancel: angular.noop};
+			}
+
+			function resolve(data, headers) {
+				if (isDestroyed && !settleAfterDestroy) {
+					return;
+				}
+				if (isHttpResponse(data)) {
+					headers = data.headers;
+					data = data.data;
+				}
+				deferred.resolve({data: data, headers: headers});
+			}
+
+			function reject(error) {
+				if (!isDestroyed || settleAfterDestroy) {
+					deferred.reject(error);
+				}
+			}
+
+			args = args.concat([resolve, reject]);
+			if (abortable) {
+				args.push(abort.promise);
+			}
+
+			var result = ObjectService[methodName].apply(ObjectService, args);
+			var promise;
+			if (result && result.$promise) {
+				promise = result.$promise;
+			} else if (result && typeof result.then === "function") {
+				promise = result;
+			}
+			if (typeof promise !== "undefined") {
+				// Both the callbacks and the promise may be used, only the first call counts
+				promise.then(function(data) {
+					resolve(data);
+				}, reject);
+			}
+
+			return {
+				promise: deferred.promise,
+				cancel: function() {
+					abort.resolve();
+					if (result && typeof result.$cancelRequest === "function") {
+						result.$cancelRequest();
+					} else if (promise && typeof promise.abort === "function") {
+						promise.abort();
+					}
+				}
+			};
+		}
+
+		/**
+			Checks if the value received is a response from $http instead of
+			the data itself.
+		*/
+		function isHttpResponse(value) {
+			return value !== null && typeof value === "object" && !angular.isArray(value) &&
+				   typeof value.headers === "function" && typeof value.status === "number" &&
+				   typeof value.config === "object" && value.hasOwnProperty("data");
+		}
+
+		/**
+			Resets the loading flags after a query failed, stores the error
+			and notifies the original scope if it implements "onLoadError".
+			The "retry" function is called by "onRetry".
+		*/
+		function processLoadError(error, queryParams, retry) {
+			$scope.flags.isLoading = false;
+			$scope.flags.isLoadingMore = false;
+			$scope.flags.isRevalidating = false;
+			$scope.flags.loadError = true;
+			$scope.lastError = error;
+			failedOperation = retry;
+
+			if (typeof $scope.onLoadError !== "undefined") {
+				$scope.onLoadError(error, queryParams);
+			}
+		}
+
+		/**
+			Passes the params of a query through the request interceptors. Other
+			calls to ObjectService are not intercepted.
+		*/
+		function interceptRequest(queryParams) {
+			interceptors.forEach(function(interceptor) {
+				if (typeof interceptor.request !== "undefined") {
+					queryParams = interceptor.request(queryParams, $scope);
+				}
+			});
+			return queryParams;
+		}
+
+		/**
+			Passes the data of a query response through the response interceptors.
+		*/
+		function interceptResponse(data, headers) {
+			interceptors.forEach(function(interceptor) {
+				if (typeof interceptor.response !== "undefined") {
+					data = interceptor.response(data, headers, $scope);
+				}
+			});
+			return data;
+		}
+
+		/**
+			Adds the current filters and sorting to the params of a query.
+		*/
+		function addFiltersAndOrdering(queryParams) {
+			angular.forEach($scope.filters, function(value, name) {
+				if (value !== null && typeof value !== "undefined") {
+					queryParams[name] = value;
+				}
+			});
+
+			var ordering = getOrdering();
+			if (typeof ordering !== "undefined") {
+				queryParams[$scope.orderingParam] = ordering;
+			}
+		}
+
+		/**
+			Returns the service queried in client side mode. Its query method
+			answers with the matching page of the local items, in the format
+			of Django REST Framework. Other methods are the ones of "service",
+			except that creating, saving and deleting objects is done locally
+			if "service" doesn't implement them.
+		*/
+		function createLocalService(service) {
+			var localService = Object.create(service || null);
+			localService[$scope.queryMethod] = function(queryParams, success, error) {
+				var items = angular.isFunction($scope.dataSource) ? $scope.dataSource(queryParams) : $scope.localData;
+				return $q.when(items).then(function(items) {
+					success(queryLocalItems(items || [], queryParams));
+				}, error);
+			};
+
+			if (!service || !angular.isFunction(service.create)) {
+				localService.create = function() {
+					return $q.when({});
+				};
+			}
+			[$scope.saveMethod, $scope.updateMethod, $scope.deleteMethod].forEach(function(methodName) {
+				if (!service || !angular.isFunction(service[methodName])) {
+					localService[methodName] = function(item) {
+						return $q.when(item);
+					};
+				}
+			});
+			return localService;
+		}
+
+		/**
+			Adds an object saved in client side mode to "localData".
+		*/
+		function addLocalItem(item) {
+			if (angular.isArray($scope.localData) && $scope.localData.indexOf(item) === -1) {
+				$scope.localData.push(item);
+			}
+		}
+
+		/**
+			Removes an object deleted in client side mode from "localData".
+		*/
+		function removeLocalItem(item) {
+			var idx = angular.isArray($scope.localData) ? $scope.localData.indexOf(item) : -1;
+			if (idx !== -1) {
+				$scope.localData.splice(idx, 1);
+			}
+		}
+
+		/**
+			Searches, filters, sorts and paginates the local items.
+		*/
+		function queryLocalItems(items, queryParams) {
+			var searchText = queryParams.search;
+			var results = items.filter(function(item) {
+				if (!matchesFilters(item)) {
+					return false;
+				}
+				return !searchText || $scope.searchMatcher(item, searchText, $scope.searchFields);
+			});
+			sortLocalItems(results);
+
+			var page = queryParams.page || 1;
+			var hasNext = false;
+			var count = results.length;
+			if ($scope.pageSize) {
+				var start = $scope.pageSize * (page - 1);
+				hasNext = start + $scope.pageSize < count;
+				results = results.slice(start, start + $scope.pageSize);
+			}
+
+			var data = {
+				count: count,
+				next: hasNext ? page + 1 : null,
+				previous: page > 1 ? page - 1 : null
+			};
+			data[$scope.arrayAttr] = results;
+			return data;
+		}
+
+		/**
+			Indicates if an item has the value of every filter set.
+		*/
+		function matchesFilters(item) {
+			return Object.keys($scope.filters).every(function(name) {
+				var value = $scope.filters[name];
+				return value === null || typeof value === "undefined" || angular.equals(getFieldValue(item, name), value);
+			});
+		}
+
+		/**
+			Sorts the local items by the current sorting or, if no field is
+			sorted, by "arraySort".
+		*/
+		function sortLocalItems(items) {
+			var field = $scope.sorting.field;
+			if (field) {
+				var sign = $scope.sorting.direction === "desc" ? -1 : 1;
+				items.sort(function(a, b) {
+					return sign * compareValues(getFieldValue(a, field), getFieldValue(b, field));
+				});
+			} else if (typeof $scope.arraySort !== "undefined") {
+				items.sort($scope.arraySort);
+			}
+		}
+
+		/**
+			Compares two values for sorting. Strings are compared according to
+			the locale and empty values are placed last.
+		*/
+		function compareValues(a, b) {
+			var isEmptyA = a === null || typeof a === "undefined";
+			var isEmptyB = b === null || typeof b === "undefined";
+			if (isEmptyA || isEmptyB) {
+				return isEmptyA === isEmptyB ? 0 : (isEmptyA ? 1 : -1);
+			}
+			if (typeof a === "string" && typeof b === "string") {
+				return a.localeCompare(b);
+			}
+			return a < b ? -1 : (a > b ? 1 : 0);
+		}
+
+		/**
+			Default "searchMatcher": checks if any of the fields contains the
+			search text, ignoring case.
+		*/
+		function matchesSearch(item, searchText, searchFields) {
+			var text = String(searchText).toLowerCase();
+			var fields = searchFields || Object.keys(item).filter(function(key) {
+				return typeof item[key] === "string";
+			});
+			return fields.some(function(field) {
+				var value = getFieldValue(item, field);
+				if (value === null || typeof value === "undefined" || typeof value === "object") {
+					return false;
+				}
+				return String(value).toLowerCase().indexOf(text) !== -1;
+			});
+		}
+
+		/**
+			Returns the value of a field of an item. Nested fields are
+			separated by dots, as in "customer.name".
+		*/
+		function getFieldValue(item, field) {
+			return String(field).split(".").reduce(function(value, name) {
+				return value === null || typeof value === "undefined" ? undefined : value[name];
+			}, item);
+		}
+
+		/**
+			Reads the data sent by the server through the response adapter,
+			returning an object in the format {items, total, hasMore, cursor}.
+			If the server did not send an array, its data is also stored in "serverData",
+			unless "dontSaveServerData" is true.
+		*/
+		function adaptResponse(data, headers, dontSaveServerData) {
+			data = interceptResponse(data, headers);
+			if (!angular.isArray(data) && !dontSaveServerData) {
+				angular.extend($scope.serverData, data);
+			}
+			var result = $scope.responseAdapter(data, headers, {
+				arrayAttr: $scope.arrayAttr,
+				pageSize: $scope.pageSize
+			});
+			if (!result || !angular.isArray(result.items)) {
+				throw "Invalid response: the response adapter did not return an array of items.";
+			}
+			return excludePendingDeletes(result);
+		}
+
+		/**
+			Processes the results received from the server, already
+			transformed by the response adapter:
+			- Increments pagination
+			- Stores flags indicating if there are more items on
+			  the server
+			- Resets the viewport
+			- Changes loading flags
+		*/
+		function processServerResults(data, isInitial, backgroundUpdate) {
+			var arrayData = data.items;
+			var pagination = backgroundUpdate ? paginationCache : $scope.pagination;
+
+			pagination.page += 1;
+			updatePagination(pagination, data);
+			if (pagination.page === 1) {
+				firstPageSize = arrayData.length;
+				firstPageCursor = pagination.nextCursor;
+			}
+
+			if (!$scope.flags.isSearching || backgroundUpdate){
+				if (isInitial || !$scope.caching) {
+					$scope.allObjects.length = 0;
+					indexItems();
+				}
+				var addToArray = $scope.reverse ? Array.prototype.unshift : Array.prototype.push;
 
 				arrayData.forEach(function(receivedItem){
-					var idx = checkItemInCache(receivedItem);
+					var existingItem = checkItemInCache(receivedItem);
+
+					if (typeof existingItem === "undefined") { // New item received
+						addToArray.apply($scope.allObjects, [receivedItem]);
+						indexItem($scope.allObjects, receivedItem);
+					} else { // Existing item received
+						angular.extend(existingItem, receivedItem);
+					}
+				});
+
+				if (!backgroundUpdate) {
+					$scope.resetViewport();
+				}
+			} else {
+				if (isInitial || !$scope.caching) {
+					$scope.allSearchResults.length = 0;
+				}
+				Array.prototype.push.apply($scope.allSearchResults,arrayData);
+				indexItems();
+				$scope.resetViewport();
+			}
+
+			var loadedItems = ($scope.flags.isSearching && !backgroundUpdate) ? $scope.allSearchResults : $scope.allObjects;
+			updateNumberResults(pagination, data, loadedItems);
+			if (pagination === $scope.pagination) {
+				calculateNumberPages();
+			}
+
+			if (isInitial) {
+				$scope.flags.isLoading = false;
+			} else {
+				$scope.flags.isLoadingMore = false;
+			}
+
+			if (isInitial && typeof $scope.firstFetchFinished !== "undefined") {
+				$scope.firstFetchFinished();
+			}
+
+			updateStorage();
+
+		}
+
+		/**
+			Updates the pagination flags and cursors with the data received
+			from the server. The page number is not changed.
+		*/
+		function updatePagination(pagination, data) {
+			pagination.previous = pagination.page > 1;
+			pagination.more = !!data.hasMore;
+			pagination.moreOnServer = pagination.more;
+			if ($scope.paginationMode === "cursor") {
+				var cursor = data.cursor || {};
+				pagination.nextCursor = typeof cursor.next === "undefined" ? null : cursor.next;
+				pagination.previousCursor = typeof cursor.previous === "undefined" ? null : cursor.previous;
+			}
+		}
+
+		/**
+			Updates the total number of results with the data received from
+			the server. If the server did not send the total, only the items
+			received so far are known.
+		*/
+		function updateNumberResults(pagination, data, loadedItems) {
+			if (typeof data.total !== "undefined" && data.total !== null) {
+				pagination.numberResults = data.total;
+			} else {
+				pagination.numberResults = $scope.caching ? loadedItems.length : $scope.pageSize * (pagination.page - 1) + data.items.length;
+			}
+		}
+
+		/**
+			Reconciles the items shown with the page loaded again from the server,
+			which is the first page, or the current one without caching. Items no
+			longer sent are removed, changed items are updated and the items are
+			reordered as sent by the server. When caching, the pages loaded after
+			the first one are kept as they are. Changes are marked with the same
+			"isNew" and "updateCount" attributes used by processUpdate.
+		*/
+		function revalidate(data) {
+			var items = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
+			var cachedItems = $scope.reverse ? items.slice(0).reverse() : items.slice(0);
+			var laterItems = $scope.caching ? splitFirstPage(cachedItems, data.items) : [];
+			var changes = {added: [], updated: [], removed: [], moved: []};
+			var reconciled = createItemSet();
+			// Positions of the cached items, by key
+			var positions = {};
+			cachedItems.forEach(function(cachedItem, idx) {
+				var key = getItemKey(cachedItem);
+				if (typeof key !== "undefined") {
+					positions[key] = idx;
+				}
+			});
+
+			data.items.forEach(function(receivedItem, position) {
+				var existingItem = findItem(items, receivedItem);
+				if (typeof existingItem === "undefined") {
+					markUnread(receivedItem, true);
+					changes.added.push(receivedItem);
+					reconciled.add(receivedItem);
+					return;
+				}
+
+				if (!isSameContent(existingItem, receivedItem)) {
+					angular.extend(existingItem, receivedItem);
+					markUnread(existingItem, false);
+					changes.updated.push(existingItem);
+				}
+				var key = getItemKey(existingItem);
+				var cachedPosition = typeof key === "undefined" ? cachedItems.indexOf(existingItem) : positions[key];
+				if (cachedPosition !== position) {
+					changes.moved.push(existingItem);
+				}
+				reconciled.add(existingItem);
+			});
+
+			cachedItems.forEach(function(cachedItem) {
+				if (!reconciled.has(cachedItem)) {
+					changes.removed.push(cachedItem);
+				}
+			});
+
+			var reconciledItems = reconciled.items.concat(laterItems);
+			items.length = 0;
+			Array.prototype.push.apply(items, $scope.reverse ? reconciledItems.reverse() : reconciledItems);
+			indexItems();
+
+			if ($scope.pagination.page === 0) {
+				$scope.pagination.page = 1;
+			}
+			if (getReloadedPage() === 1) {
+				firstPageSize = data.items.length;
+				firstPageCursor = data.cursor && typeof data.cursor.next !== "undefined" ? data.cursor.next : null;
+			}
+			if (laterItems.length === 0) {
+				// The page received is the last one loaded
+				updatePagination($scope.pagination, data);
+			}
+			updateNumberResults($scope.pagination, data, items);
+			calculateNumberPages();
+			$scope.flags.isRevalidating = false;
+			$scope.flags.isLoading = false;
+			$scope.flags.isLoadingMore = false;
+			$scope.resetViewport();
+
+			if (typeof $scope.revalidationFinished !== "undefined") {
+				$scope.revalidationFinished(changes);
+			}
+
+			updateStorage();
+		}
+
+		/**
+			Removes from "cachedItems" the items loaded after the first page and
+			returns them. The first page ends with the last cached item received
+			again, but is never shorter than when it was loaded, so that items
+			no longer sent at its end are still removed.
+		*/
+		function splitFirstPage(cachedItems, receivedItems) {
+			var end = Math.min(firstPageSize, cachedItems.length);
+			// Positions of the cached items, by key
+			var positions = {};
+			cachedItems.forEach(function(cachedItem, idx) {
+				var key = getItemKey(cachedItem);
+				if (typeof key !== "undefined") {
+					positions[key] = idx;
+				}
+			});
+			receivedItems.forEach(function(receivedItem) {
+				var key = getItemKey(receivedItem);
+				var idx = typeof $scope.compareItems === "undefined" && typeof key !== "undefined" ?
+					(positions.hasOwnProperty(key) ? positions[key] : -1) : findItemIndex(cachedItems, receivedItem);
+				end = Math.max(end, idx + 1);
+			});
+			return cachedItems.splice(end, cachedItems.length - end);
+		}
+
+		/**
+			Indicates if an item received from the server has the same content
+			as the one in cache, ignoring the attributes set by the viewport.
+		*/
+		function isSameContent(existingItem, receivedItem) {
+			var ignored = {isNew: true, updateCount: true};
+			return Object.keys(receivedItem).every(function(key) {
+				return ignored.hasOwnProperty(key) || key.charAt(0) === "$" || angular.equals(existingItem[key], receivedItem[key]);
+			});
+		}
+
+		/**
+			Saves the first page of the items being shown in storage, under
+			the key of the current query.
+		*/
+		function updateStorage() {
+			if (!$scope.allowLocalStorage || isReadingStorage || isDestroyed) {
+				return;
+			}
+
+			var pagination = $scope.pagination;
+			var items = $scope.flags.isSearching ? $scope.allSearchResults : $scope.allObjects;
+			if (pagination.page === 0 || (!$scope.caching && pagination.page !== 1)) {
+				// The first page is not loaded
+				return;
+			}
+
+			// Data is stored already in the format returned by response adapters
+			var serverData = angular.extend({}, $scope.serverData);
+			delete serverData[$scope.arrayAttr];
+
+			// Items are saved in the order they were sent by the server
+			var savedItems = items.filter(function(item) {
+				return !item.isUnsaved;
+			});
+			var firstPage = $scope.reverse ? savedItems.slice(savedItems.length - firstPageSize).reverse() : savedItems.slice(0, firstPageSize);
+			var cacheData = {
+				items: firstPage,
+				total: pagination.numberResults,
+				hasMore: pagination.moreOnServer,
+				serverData: serverData
+			};
+			if (savedItems.length > firstPage.length) {
+				cacheData.hasMore = true;
+			}
+			if ($scope.paginationMode === "cursor") {
+				cacheData.cursor = {next: firstPageCursor, previous: null};
+			}
+			writeStorage(getStorageKey(), cacheData);
+		}
+
+		/**
+			Returns the key under which the first page of the current
+			query is saved in storage. The key includes the query args,
+			filters, sorting and search.
+		*/
+		function getStorageKey() {
+			var queryArgs = typeof $scope.getQueryArgs !== "undefined" ? $scope.getQueryArgs(false) : $scope.queryArgs;
+			var query = angular.toJson([queryArgs, getCacheKey($scope.flags.isSearching ? $scope.currentSearch : ""), getOrdering()]);
+			return $scope.storageIdentifier + ":" + hashString(query);
+		}
+
+		/**
+			Returns the key under which the list of keys saved by this
+			viewport is stored. Used for discarding old entries.
+		*/
+		function getStorageIndexKey() {
+			return $scope.storageIdentifier + ":index";
+		}
+
+		/**
+			Reads an entry from storage. Returns a promise that is resolved with
+			the data saved or with null if there is no valid entry for the key.
+			Expired entries and entries saved with another version are removed.
+		*/
+		function readStorage(key) {
+			return $q.when().then(function() {
+				return $scope.storage.get(key);
+			}).then(function(entry) {
+				if (entry === null || typeof entry === "undefined") {
+					return null;
+				}
+				var isExpired = typeof entry.expires === "number" && entry.expires < new Date().getTime();
+				if (entry.version !== $scope.storageVersion || isExpired || typeof entry.data === "undefined") {
+					removeFromStorage(key);
+					return null;
+				}
+				return entry.data;
+			}, function() {
+				// Storage unavailable, just load from the server
+				return null;
+			});
+		}
+
+		/**
+			Saves an entry in storage and registers its key in this viewport's
+			index. If there are more entries than "storageMaxEntries" or the storage
+			is full, the entries saved the longest ago are removed.
+		*/
+		function writeStorage(key, data) {
+			var now = new Date().getTime();
+			var entry = {
+				version: $scope.storageVersion,
+				savedAt: now,
+				expires: $scope.storageTTL ? now + $scope.storageTTL : null,
+				data: data
+			};
+
+			updateStorageIndex(function(index) {
+				index.keys[key] = now;
+				var evicted = evictFromIndex(index, $scope.storageMaxEntries);
+
+				return $q.when().then(function() {
+					return $scope.storage.set(key, entry);
+				}).catch(function() {
+					// Storage is probably full, try again after discarding the oldest entry
+					evicted = evicted.concat(evictFromIndex(index, Object.keys(index.keys).length - 1));
+					return $scope.storage.set(key, entry);
+				}).finally(function() {
+					evicted.forEach(removeFromStorage);
+					return $scope.storage.set(getStorageIndexKey(), index);
+				});
+			}).catch(function() {
+				// Storage is full or unavailable, the cache is simply not updated
+			});
+		}
+
+		/**
+			Reads the index of keys saved by this viewport and calls "update"
+			with it, which must save it back. Updates are run one after the
+			other, as running them at the same time would lose keys.
+		*/
+		function updateStorageIndex(update) {
+			var indexKey = getStorageIndexKey();
+			var previous = storageIndexUpdates[indexKey] || $q.when();
+			var current = previous.catch(angular.noop).then(function() {
+				return readStorageIndex().then(update);
+			});
+			storageIndexUpdates[indexKey] = current;
+			current.finally(function() {
+				if (storageIndexUpdates[indexKey] === current) {
+					delete storageIndexUpdates[indexKey];
+				}
+			}).catch(angular.noop);
+			return current;
+		}
+
+		/**
+			Removes the oldest keys from the index until it has at most
+			"maxEntries" keys, returning the keys removed. The most recent
+			key is never removed.
+		*/
+		function evictFromIndex(index, maxEntries) {
+			var keys = Object.keys(index.keys).sort(function(a, b) {
+				return index.keys[a] - index.keys[b];
+			});
+			var evicted = keys.slice(0, Math.max(0, Math.min(keys.length - 1, keys.length - maxEntries)));
+			evicted.forEach(function(key) {
+				delete index.keys[key];
+			});
+			return evicted;
+		}
+
+		/**
+			Returns a promise resolved with the index of keys saved by this viewport.
+		*/
+		function readStorageIndex() {
+			return $q.when().then(function() {
+				return $scope.storage.get(getStorageIndexKey());
+			}).then(function(index) {
+				if (!index || index.version !== $scope.storageVersion || !angular.isObject(index.keys)) {
+					return {version: $scope.storageVersion, keys: {}};
+				}
+				return index;
+			});
+		}
+
+		/**
+			Removes an entry from storage, ignoring any errors.
+		*/
+		function removeFromStorage(key) {
+			$q.when().then(function() {
+				return $scope.storage.remove(key);
+			}).catch(angular.noop);
+		}
+
+		/**
+			Returns the index kept for "allObjects" or "allSearchResults",
+			or null for any other array.
+		*/
+		function getItemIndex(array) {
+			if (array === $scope.allObjects) {
+				return itemIndexes.objects;
+			} else if (array === $scope.allSearchResults) {
+				return itemIndexes.searchResults;
+			}
+			return null;
+		}
+
+		/**
+			Rebuilds the index of "allObjects" and "allSearchResults", which maps
+			the key of each item to the item. Must be called whenever the arrays
+			are changed in bulk; single items are added and removed through
+			"indexItem" and "unindexItem". Items without a key are not indexed.
+		*/
+		function indexItems() {
+			itemIndexes.objects = {};
+			itemIndexes.searchResults = {};
+			[$scope.allObjects, $scope.allSearchResults].forEach(function(array) {
+				array.forEach(function(item) {
+					indexItem(array, item);
+				});
+			});
+		}
+
+		function indexItem(array, item) {
+			var key = getItemKey(item);
+			if (typeof key !== "undefined") {
+				getItemIndex(array)[key] = item;
+			}
+		}
+
+		/**
+			Returns the item indexed under a key, or undefined.
+		*/
+		function getIndexedItem(array, key) {
+			var index = getItemIndex(array);
+			return index.hasOwnProperty(key) ? index[key] : undefined;
+		}
+
+		/**
+			Removes a set of items (see "createItemSet") from an indexed array,
+			going through the array only once.
+		*/
+		function removeFromArray(array, itemsToRemove) {
+			if (itemsToRemove.items.length === 0) {
+				return;
+			}
+			var length = 0;
+			for (var i = 0; i < array.length; i++) {
+				if (itemsToRemove.has(array[i])) {
+					unindexItem(array, array[i]);
+				} else {
+					array[length++] = array[i];
+				}
+			}
+			array.length = length;
+		}
+
+		function unindexItem(array, item) {
+			var key = getItemKey(item);
+			if (typeof key !== "undefined" && getIndexedItem(array, key) === item) {
+				delete getItemIndex(array)[key];
+			}
+		}
+
+		/**
+			Function that checks if an item received from the server is new
+			or already exists in cache. This function will compare items
+			based on their keys or on the scope function "compareItems" if
+			it was defined in the original scope.
+
+			The function will return the item in the "allObjects" array or
+			undefined if it is not found.
+		*/
+		function checkItemInCache(receivedItem) {
+			return findItem($scope.allObjects, receivedItem);
+		}
+
+		/**
+			Returns the item of an array that is the same as "receivedItem",
+			comparing them the same way as checkItemInCache, or undefined.
+			The indexed arrays are looked up by key without going through them.
+		*/
+		function findItem(array, receivedItem) {
+			var index = getItemIndex(array);
+			var key = getItemKey(receivedItem);
+			if (typeof $scope.compareItems === "undefined" && index !== null && typeof key !== "undefined") {
+				return getIndexedItem(array, key);
+			}
+			var idx = findItemIndex(array, receivedItem);
+			return idx === -1 ? undefined : array[idx];
+		}
+
+		/**
+			Returns the index of an item in an array, comparing them the
+			same way as checkItemInCache, or -1 if it is not found. It goes
+			through the array, so "findItem" should be used for the indexed
+			arrays.
+		*/
+		function findItemIndex(array, receivedItem) {
+			if (typeof $scope.compareItems !== "undefined") {
+				for (var idx=0; idx<array.length; idx++) {
+					var existingItem = array[idx];
+
+					if ($scope.compareItems(receivedItem, existingItem)) {
+						return idx;
+					}
+				}
+				return -1;
+			}
+
+			var key = getItemKey(receivedItem);
+			if (typeof key === "undefined") {
+				// Items without a key, such as unsaved ones, are only the same as themselves
+				return array.indexOf(receivedItem);
+			}
+			for (var i=0; i<array.length; i++) {
+				if (getItemKey(array[i]) === key) {
+					return i;
+				}
+			}
+			return -1;
+		}
+
+		/**
+			Function called whenever new objects are available for this view.
+			It is triggered by an event broadcasted by DataSyncHelper.
+		*/
+		$scope.processUpdate = function (event, newObjects) {
+			var shouldResetViewport = typeof $scope.arraySort !== "undefined";
+			var notifiableObjects = []
+
+			if (typeof $scope.preProcessUpdate !== "undefined") {
+				newObjects = $scope.preProcessUpdate(event, newObjects);
+				if (newObjects.length == 0) {
+					return;
+				}
+			}
+
+			newObjects.forEach(function(obj, idx){
+				var oldItem = checkItemInCache(obj);
+				var bufferedIdx = findItemIndex($scope.pendingUpdates.items, obj);
+				if (typeof oldItem !== "undefined") {
+
+					// Existing object was updated
+					markUnread(oldItem, false);
+
+					angular.extend(oldItem, obj);
+					if ($scope.notifiableUpdates) {
+						notifiableObjects.push(oldItem);
+					}
+				} else if (bufferedIdx !== -1) {
+					// New object that is waiting to be shown was updated
+					angular.extend($scope.pendingUpdates.items[bufferedIdx], obj);
+				} else if ($scope.bufferUpdates) {
+					// New object arrived and waits for flushUpdates
+					markUnread(obj, true);
+					notifiableObjects.push(obj);
+					$scope.pendingUpdates.items.push(obj);
+					$scope.pendingUpdates.count = $scope.pendingUpdates.items.length;
+				} else {
+					// New object arrived
+					markUnread(obj, true);
+					notifiableObjects.push(obj);
+					shouldResetViewport = true;
+					addNewItem(obj);
+				}
+
+			});
+
+			if (!$scope.flags.isSearching && shouldResetViewport) {
+				$scope.resetViewport();
+			}
+
+			if ($scope.allowLocalStorage) {
+				updateStorage();
+			}
+
+			return notifiableObjects;
+		};
+
+		/**
+			Adds the objects kept in "pendingUpdates" to the viewport.
+		*/
+		$scope.flushUpdates = function() {
+			var items = $scope.pendingUpdates.items.splice(0, $scope.pendingUpdates.items.length);
+			$scope.pendingUpdates.count = 0;
+			items.forEach(function(item) {
+				var existingItem = checkItemInCache(item);
+				if (typeof existingItem !== "undefined") {
+					// The object was meanwhile loaded from the server
+					angular.extend(existingItem, item);
+				} else {
+					addNewItem(item);
+				}
+			});
+
+			if (!$scope.flags.isSearching && items.length > 0) {
+				$scope.resetViewport();
+			}
+			updateStorage();
+		};
+
+		/**
+			Resets the "isNew" and "updateCount" attributes of an object.
+		*/
+		$scope.markSeen = function(item) {
+			delete item.isNew;
+			delete item.updateCount;
+			updateStorage();
+		};
 
-					if (idx == -1) { // New item received
-						addToArray.apply($scope.allObjects, [receivedItem]);
-					} else { // Existing item received
-						angular.extend($scope.allObjects[idx], receivedItem);
-					}
+		/**
+			Resets the "isNew" and "updateCount" attributes of every object
+			shown. Objects kept in "pendingUpdates" are still unread.
+		*/
+		$scope.markAllSeen = function() {
+			[$scope.allObjects, $scope.allSearchResults].forEach(function(array) {
+				array.forEach(function(item) {
+					delete item.isNew;
+					delete item.updateCount;
 				});
+			});
+			updateStorage();
+		};
 
-				if (!backgroundUpdate) {
-					$scope.resetViewport();
+		/**
+			Adds an object received in an update to the cached objects.
+		*/
+		function addNewItem(item) {
+			if (!$scope.reverse) {
+				$scope.allObjects.unshift(item);
+			} else {
+				$scope.allObjects.push(item);
+			}
+			indexItem($scope.allObjects, item);
+			changeNumberObjects(1);
+		}
+
+		/**
+			Adds "count" to the total number of objects after objects were
+			added or removed by an update.
+		*/
+		function changeNumberObjects(count) {
+			// While searching, the pagination of the objects is kept aside
+			var pagination = $scope.flags.isSearching ? paginationCache : $scope.pagination;
+			pagination.numberResults = Math.max(0, pagination.numberResults + count);
+			if (pagination === $scope.pagination) {
+				calculateNumberPages();
+			}
+		}
+
+		/**
+			Marks an object as new or as updated.
+		*/
+		function markUnread(item, isNew) {
+			if (isNew) {
+				item.isNew = true;
+			} else {
+				item.updateCount = (item.updateCount || 0) + 1;
+			}
+		}
+
+		function isUnread(item) {
+			return !!item.isNew || item.updateCount > 0;
+		}
+
+		/**
+			Counts the objects not seen yet: the ones kept in "pendingUpdates"
+			and the cached ones marked as new or updated. Search results that
+			are also in "allObjects" are only counted once.
+		*/
+		function countUnread() {
+			var count = $scope.pendingUpdates.items.length;
+			$scope.allObjects.forEach(function(item) {
+				if (isUnread(item)) {
+					count++;
+				}
+			});
+			$scope.allSearchResults.forEach(function(item) {
+				if (isUnread(item) && getIndexedItem($scope.allObjects, getItemKey(item)) !== item) {
+					count++;
+				}
+			});
+			return count;
+		}
+
+		// Time of the last query, sent in the polling's "sinceParam"
+		var pollingTimestamp = null;
+
+		// Promise of the polling $interval
+		var pollingPromise = null;
+
+		// Request of the poll running, if any
+		var pollingRequest = null;
+
+		/**
+			Queries the server for the items changed since the last query.
+			See "Polling" above.
+		*/
+		function poll() {
+			if ($window.document.hidden || $scope.flags.isSearching || $scope.flags.isPaused || pollingRequest !== null ||
+				pollingTimestamp === null || isQueryRunning() || $scope.pagination.page === 0) {
+				return;
+			}
+
+			var queryParams = typeof $scope.getQueryArgs !== "undefined" ? $scope.getQueryArgs(false) : angular.copy($scope.queryArgs);
+			addFiltersAndOrdering(queryParams);
+			queryParams[$scope.polling.sinceParam] = pollingTimestamp;
+			queryParams = interceptRequest(queryParams);
+
+			var queryState = getQueryState();
+			var requestedAt = new Date().toISOString();
+			var request = pollingRequest = callService($scope.queryMethod, [queryParams], true);
+			request.promise.then(function(response) {
+				if (pollingRequest !== request) {
+					return;
+				}
+				pollingRequest = null;
+				if (queryState !== getQueryState() || $scope.flags.isSearching) {
+					// The viewport moved to another query meanwhile
+					return;
+				}
+				var items;
+				try {
+					items = adaptResponse(response.data, response.headers, true).items;
+				} catch (err) {
+					// Tried again at the next interval
+					return;
 				}
+				updatePollingTimestamp(response.data, requestedAt);
+				if (items.length > 0) {
+					$scope.processUpdate(null, items);
+				}
+			}, function() {
+				if (pollingRequest === request) {
+					// Tried again at the next interval
+					pollingRequest = null;
+				}
+			});
+		}
+
+		/**
+			Stores the time sent by the server or, if it didn't send it,
+			the time when the query was made.
+		*/
+		function updatePollingTimestamp(data, requestedAt) {
+			if (typeof $scope.polling === "undefined") {
+				return;
+			}
+			var timestampAttr = $scope.polling.timestampAttr;
+			if (timestampAttr && data && typeof data[timestampAttr] !== "undefined" && data[timestampAttr] !== null) {
+				pollingTimestamp = data[timestampAttr];
 			} else {
-				if (isInitial || !$scope.caching) {
-					$scope.allSearchResults.length = 0;
+				pollingTimestamp = requestedAt;
+			}
+		}
+
+		function stopPolling() {
+			if (pollingPromise === null) {
+				return;
+			}
+			$interval.cancel(pollingPromise);
+			pollingPromise = null;
+			if (pollingRequest !== null) {
+				pollingRequest.cancel();
+				pollingRequest = null;
+			}
+			$window.document.removeEventListener("visibilitychange", pollWhenVisible);
+		}
+
+		function pollWhenVisible() {
+			if (!$window.document.hidden) {
+				$rootScope.$applyAsync(poll);
+			}
+		}
+
+		if (typeof $scope.polling !== "undefined") {
+			pollingPromise = $interval(poll, $scope.polling.interval);
+			$window.document.addEventListener("visibilitychange", pollWhenVisible);
+		}
+
+		/**
+			Function called whenever the GlobalPolling mechanism
+			identified that the data should be updated.
+		*/
+		$scope.processPolling = function(event, newData) {
+			var backgroundUpdate = $scope.flags.isSearching;
+			if (backgroundUpdate) {
+				angular.extend(paginationCache, emptyPagination);
+			} else {
+				angular.extend($scope.pagination, emptyPagination);
+			}
+			$scope.onRefresh(backgroundUpdate);
+			// processServerResults(newData, true, backgroundUpdate);
+		};
+
+		/**
+			Function called whenever items are deleted and should be removed.
+			It is triggered by an event broadcasted by DataSyncHelper.
+		*/
+		$scope.processDelete = function(event, deletedObjects) {
+			var deletedItems = createItemSet();
+			deletedObjects.forEach(function(object,idx){
+				if (typeof getItemKey(object) === "undefined") {
+					throw "Object key was not found for object: " + JSON.stringify(object);
 				}
-				Array.prototype.push.apply($scope.allSearchResults,arrayData);
+				unselectItem(object);
+				var oldItem = findDeletedItem(object);
+				if (typeof oldItem !== "undefined") {
+					// We have an object that must be deleted
+					deletedItems.add(oldItem);
+				}
+				var bufferedIdx = findItemIndex($scope.pendingUpdates.items, object);
+				if (bufferedIdx !== -1) {
+					$scope.pendingUpdates.items.splice(bufferedIdx, 1);
+					$scope.pendingUpdates.count = $scope.pendingUpdates.items.length;
+				}
+			});
+			removeFromArray($scope.allObjects, deletedItems);
+			changeNumberObjects(-deletedItems.items.length);
+
+			if (!$scope.flags.isSearching && deletedItems.items.length > 0) {
 				$scope.resetViewport();
 			}
-			if (isInitial) {
-				$scope.flags.isLoading = false;
-			} else {
+
+			if ($scope.allowLocalStorage) {
+				updateStorage();
+			}
+		};
+
+		/**
+			Returns the cached item of a deleted object, or undefined. The item
+			is found through the index unless "findObjectToDelete" was overridden.
+		*/
+		function findDeletedItem(object) {
+			if ($scope.findObjectToDelete === findObjectToDelete) {
+				return getIndexedItem($scope.allObjects, getItemKey(object));
+			}
+			var idx = $scope.findObjectToDelete(getItemId(object));
+			return idx === -1 ? undefined : $scope.allObjects[idx];
+		}
+
+		/**
+			Returns the index in "allObjects" of the item whose "trackBy" value
+			is "idToDelete", or -1 if it is not found.
+		*/
+		function findObjectToDelete(idToDelete) {
+			// This method is meant to allow overriding this logic.
+
+			var item = getIndexedItem($scope.allObjects, angular.toJson(idToDelete));
+			return typeof item === "undefined" ? -1 : $scope.allObjects.indexOf(item);
+		}
+		$scope.findObjectToDelete = findObjectToDelete;
+
+		/**
+			Callback for the search button
+		*/
+		$scope.onSearch = function (hideLoading) {
+			cancelAutoSearch();
+			var searchText = normalizeSearchText($scope.searchText);
+			if (searchText === '') {
+				return $scope.onClearSearch();
+			}
+			var isNewSearch = searchText !== $scope.currentSearch;
+			if (!isNewSearch && $scope.flags.isSearching && $scope.pagination.page === 0 && isQueryRunning()) {
+				// The same search is already being loaded
+				return;
+			}
+
+			if (!$scope.flags.isSearching) {
+				paginationCache = angular.copy($scope.pagination);
+			} else if (isNewSearch) {
+				saveToCache(getCacheKey($scope.currentSearch), $scope.allSearchResults, $scope.pagination);
+			}
+
+			$scope.flags.isSearching = true;
+			$scope.currentSearch = searchText;
+			if (!$scope.autoSearch) {
+				$scope.objectsViewport = [];
+			}
+
+			// Searching again for the same term reloads the results
+			if (isNewSearch && restoreFromCache(getCacheKey($scope.currentSearch), $scope.allSearchResults, $scope.pagination)) {
+				showRestoredItems();
+				return;
+			}
+
+			angular.extend($scope.pagination, emptyPagination)
+			$scope.onLoadMore(hideLoading);
+
+		};
+
+
+		/**
+			Callback for clear (x) button.
+			The "dontReload" parameter is used internally and should not
+			be used directly.
+		*/
+		$scope.onClearSearch = function (dontReload) {
+			cancelAutoSearch();
+			if ($scope.flags.isSearching) {
+				saveToCache(getCacheKey($scope.currentSearch), $scope.allSearchResults, $scope.pagination);
+				cancelPendingRequest();
 				$scope.flags.isLoadingMore = false;
 			}
+			$scope.flags.isSearching = false;
+			$scope.flags.isLoading = false;
+			$scope.currentSearch = "";
+			$scope.searchText = "";
+			$scope.pagination = angular.copy(paginationCache);
+			$scope.allSearchResults.length = 0;
+			indexItems();
+			$scope.resetViewport();
+
+			if ($scope.pagination.page === 0 && $scope.shouldLoad && !dontReload) {
+				// The cache was discarded while searching (e.g. the sorting changed)
+				$scope.onLoadMore();
+			}
+		};
 
-			if (isInitial && typeof $scope.firstFetchFinished !== "undefined") {
-				$scope.firstFetchFinished();
+
+		/**
+			Moves to a page that may not have been loaded yet. When caching, the
+			pages before it are loaded first. Used when restoring the page from the url.
+		*/
+		function goToPage(pageNumber) {
+			targetPage = null;
+			if ($scope.paginationMode === "cursor" || !$scope.shouldLoad || pageNumber === $scope.pagination.page) {
+				return;
+			}
+			if (pageNumber === 1 && $scope.pagination.page === 0 && isQueryRunning()) {
+				// The first page is already being loaded
+				return;
+			}
+
+			if (!$scope.caching && $scope.pageSize) {
+				// The page can be loaded directly
+				var isInitial = $scope.pagination.page === 0;
+				$scope.pagination.page = pageNumber - 1;
+				$scope.pagination.moreOnServer = true;
+				if (isInitial) {
+					$scope.flags.isLoading = true;
+					loadFromServer(true);
+				} else {
+					$scope.onLoadMore(true);
+				}
+				return;
+			}
+
+			// The pages are loaded from the current one, not from the page being loaded
+			cancelLoadMore();
+			targetPage = {page: pageNumber, state: getTargetState()};
+			continueToTargetPage();
+		}
+
+		/**
+			Loads the next page until the target page is reached. Called
+			whenever a page is received from the server.
+		*/
+		function continueToTargetPage() {
+			if (targetPage === null) {
+				return;
+			}
+			if (targetPage.state !== getTargetState()) {
+				// The user moved somewhere else
+				targetPage = null;
+				return;
 			}
 
-			updateStorage();
+			while (!isQueryRunning() && $scope.pagination.page !== targetPage.page) {
+				var page = $scope.pagination.page;
+				if (page > targetPage.page) {
+					if ($scope.pageSize) {
+						$scope.pagination.page = targetPage.page;
+						$scope.pagination.previous = targetPage.page > 1;
+						$scope.resetViewport();
+					}
+					break;
+				}
+				if (page > 0 && !$scope.pagination.more) {
+					break;
+				}
+
+				$scope.onLoadMore();
+				if (!isQueryRunning() && $scope.pagination.page === page) {
+					break;
+				}
+			}
+
+			if (!isQueryRunning()) {
+				targetPage = null;
+			}
+		}
+
+		/**
+			Returns a string representing the query whose pages are loaded
+			while moving to the target page.
+		*/
+		function getTargetState() {
+			return angular.toJson([getQueryState(), $scope.currentSearch]);
+		}
+
+		/**
+			Returns the name of an url parameter, according to the prefix
+			set in "syncLocation".
+		*/
+		function getLocationParamName(name) {
+			var prefix = angular.isString($scope.syncLocation) ? $scope.syncLocation : "";
+			return prefix + name;
+		}
+
+		/**
+			Returns the url parameters representing the current state of the
+			viewport. Every value is a string.
+		*/
+		function getStateParams() {
+			var params = {};
+			if ($scope.pagination.page > 1 && $scope.paginationMode !== "cursor") {
+				params[getLocationParamName("page")] = String($scope.pagination.page);
+			}
+			if ($scope.flags.isSearching && $scope.currentSearch !== "") {
+				params[getLocationParamName("search")] = $scope.currentSearch;
+			}
+			if ($scope.sorting.field) {
+				params[getLocationParamName("sort")] = ($scope.sorting.direction === "desc" ? "-" : "") + $scope.sorting.field;
+			}
+			angular.forEach($scope.filters, function(value, name) {
+				params[getLocationParamName("filter_" + name)] = encodeFilterValue(value);
+			});
+			return params;
+		}
+
+		/**
+			Returns the value of a filter as kept in the url. Strings are kept as
+			they are unless they would be read back as JSON (e.g. "123" or "true"),
+			so that the type of every value is restored.
+		*/
+		function encodeFilterValue(value) {
+			if (angular.isString(value)) {
+				try {
+					angular.fromJson(value);
+				} catch (err) {
+					return value;
+				}
+			}
+			return angular.toJson(value);
+		}
+
+		/**
+			Indicates if an url parameter is handled by this viewport.
+		*/
+		function isStateParam(key) {
+			return key === getLocationParamName("page") ||
+				   key === getLocationParamName("search") ||
+				   key === getLocationParamName("sort") ||
+				   key.indexOf(getLocationParamName("filter_")) === 0;
+		}
+
+		/**
+			Returns the parameters of the current url that are handled
+			by this viewport. Every value is a string.
+		*/
+		function getLocationParams() {
+			var params = {};
+			angular.forEach($location.search(), function(value, key) {
+				if (isStateParam(key)) {
+					params[key] = String(angular.isArray(value) ? value[value.length - 1] : value);
+				}
+			});
+			return params;
+		}
+
+		/**
+			Replaces this viewport's parameters in the url.
+		*/
+		function writeLocationParams(params) {
+			var search = {};
+			angular.forEach($location.search(), function(value, key) {
+				if (!isStateParam(key)) {
+					search[key] = value;
+				}
+			});
+			$location.search(angular.extend(search, params));
+			if ($scope.locationHistory === "replace") {
+				$location.replace();
+			}
+		}
+
+		/**
+			Transforms url parameters into an object in the format
+			{page, search, sorting, filters}.
+		*/
+		function parseLocationParams(params) {
+			var state = {
+				page: parseInt(params[getLocationParamName("page")], 10) || 1,
+				search: params[getLocationParamName("search")] || "",
+				sorting: {field: undefined, direction: undefined},
+				filters: {}
+			};
+
+			var sort = params[getLocationParamName("sort")];
+			if (sort) {
+				var descending = sort.charAt(0) === "-";
+				state.sorting.field = descending ? sort.substr(1) : sort;
+				state.sorting.direction = descending ? "desc" : "asc";
+			}
+
+			var filterPrefix = getLocationParamName("filter_");
+			angular.forEach(params, function(value, key) {
+				if (key.indexOf(filterPrefix) === 0) {
+					try {
+						value = angular.fromJson(value);
+					} catch (err) {
+						// Plain string
+					}
+					state.filters[key.substr(filterPrefix.length)] = value;
+				}
+			});
+			return state;
+		}
+
+		/**
+			Restores the state kept in the url when the viewport is created.
+			Nothing has been loaded yet, so the state is changed directly.
+		*/
+		function startFromLocation() {
+			var state = parseLocationParams(getLocationParams());
+			angular.extend($scope.sorting, state.sorting);
+			angular.forEach(Object.keys($scope.filters), function(name) {
+				delete $scope.filters[name];
+			});
+			angular.extend($scope.filters, state.filters);
+
+			if (state.search !== "") {
+				$scope.searchText = state.search;
+				$scope.currentSearch = state.search;
+				$scope.flags.isSearching = true;
+			}
 
+			if (state.page > 1) {
+				goToPage(state.page);
+			} else {
+				$scope.onLoadMore();
+			}
 		}
 
-		function updateStorage() {
-			if (!$scope.allowLocalStorage) {
-				return;
+		/**
+			Moves the viewport to the state in the url after it was changed
+			from outside the viewport, e.g. by the back and forward buttons.
+		*/
+		function applyLocationParams(params) {
+			var state = parseLocationParams(params);
+			var changed = false;
+
+			if (state.sorting.field !== $scope.sorting.field || state.sorting.direction !== $scope.sorting.direction) {
+				angular.extend($scope.sorting, state.sorting);
+				discardSortedItems();
+				changed = true;
 			}
 
-			var isArray = angular.isArray($scope.serverData);
-			var localStorageService;
-			try {
-				localStorageService = $injector.get('localStorageService');
-			} catch(err){}
+			if (!angular.equals(state.filters, $scope.filters)) {
+				changeFilters(function() {
+					angular.forEach(Object.keys($scope.filters), function(name) {
+						delete $scope.filters[name];
+					});
+					angular.extend($scope.filters, state.filters);
+				}, true);
+				changed = true;
+			}
 
-			if (typeof localStorageService !== "undefined" && localStorageService.isSupported) {
-				var cacheData;
-				if (!isArray) {
-				 	cacheData = angular.extend({}, $scope.serverData);
-				 	if ($scope.pageSize) {
-				 		cacheData[$scope.arrayAttr] = $scope.allObjects.slice(0, $scope.pageSize);
-				 		if (cacheData.next === null && $scope.allObjects.length > $scope.pageSize) {
-				 			cacheData.next = true;
-				 		}
-				 	} else {
-				 		cacheData[$scope.arrayAttr] = $scope.allObjects;
-				 	}
+			if (state.search !== $scope.currentSearch) {
+				$scope.searchText = state.search;
+				if (state.search !== "") {
+					$scope.onSearch();
 				} else {
-					if ($scope.pageSize) {
-						cacheData = $scope.allObjects.slice(0, $scope.pageSize);
-					} else {
-						cacheData = $scope.allObjects;
-					}
-
+					$scope.onClearSearch();
 				}
-				localStorageService.set($scope.storageIdentifier, cacheData);
+			} else if (changed) {
+				showRestoredItems();
 			}
+
+			goToPage(state.page);
 		}
 
 		/**
-			Function that checks if an item received from the server is new
-			or already exists in cache. This function will compare items
-			based on their ids or on the scope function "compareItems" if
-			it was defined in the original scope.
-
-			The function will return the index of the item in the "allObjects"
-			array or -1 it is not found.
+			Keeps the url in sync with the viewport and vice versa.
 		*/
-		function checkItemInCache(receivedItem) {
-			if (typeof $scope.compareItems !== "undefined") {
-				for (var idx=0; idx<$scope.allObjects.length; idx++) {
-					var existingItem = $scope.allObjects[idx];
+		if ($scope.syncLocation) {
+			watch(function() {
+				if (targetPage !== null || $scope.pagination.page === 0) {
+					// Still loading, the url is written once the page is received
+					return null;
+				}
+				return getStateParams();
+			}, function(params) {
+				if (params !== null && !angular.equals(params, getLocationParams())) {
+					writeLocationParams(params);
+				}
+			}, true);
 
-					if ($scope.compareItems(receivedItem, existingItem)) {
-						return idx;
-					}
+			listen("$locationChangeSuccess", function() {
+				var params = getLocationParams();
+				if (!angular.equals(params, getStateParams())) {
+					applyLocationParams(params);
 				}
-				return -1;
-			} else {
-				return $scope.allObjects.indexOfObject(receivedItem);
-			}
+			});
 		}
 
 		/**
-			Function called whenever new objects are available for this view.
-			It is triggered by an event broadcasted by DataSyncHelper.
+			Automatic searching as the user types.
 		*/
-		$scope.processUpdate = function (event, newObjects) {
-			var shouldResetViewport = typeof $scope.arraySort !== "undefined";
-			var notifiableObjects = []
-
-			if (typeof $scope.preProcessUpdate !== "undefined") {
-				newObjects = $scope.preProcessUpdate(event, newObjects);
-				if (newObjects.length == 0) {
+		if ($scope.autoSearch) {
+			watch(function(){
+				return $scope.searchText;
+			}, function(newVal, oldVal) {
+				if (newVal === oldVal) {
 					return;
 				}
-			}
+				cancelAutoSearch();
 
-			newObjects.forEach(function(obj, idx){
-				var oldIdx = $scope.allObjects.indexOfObject(obj);
-				if (oldIdx !== -1) {
-					var oldItem =  $scope.allObjects[oldIdx];
-
-					// Existing object was updated
-					if (typeof oldItem.updateCount === "undefined") {
-						oldItem.updateCount = 1;
-					} else {
-						oldItem.updateCount = oldItem.updateCount + 1;
+				var searchText = normalizeSearchText(newVal);
+				if (searchText === "") {
+					if (newVal === "" || $scope.flags.isSearching) {
+						$scope.onClearSearch();
 					}
-
-					angular.extend(oldItem, obj);
-					if ($scope.notifiableUpdates) {
-						notifiableObjects.push(oldItem);
+				} else if (searchText.length >= $scope.autoSearchMin) {
+					if ($scope.flags.isSearching && searchText === $scope.currentSearch) {
+						// Only whitespace changed, these results are already being shown
+						return;
 					}
-				} else {
-					// New object arrived
-					obj.isNew = true;
-					notifiableObjects.push(obj);
-					shouldResetViewport = true;
-					if (!$scope.reverse) {
-						$scope.allObjects.unshift(obj);
-					} else {
-						$scope.allObjects.push(obj);
+
+					if (!$scope.autoSearchDelay) {
+						$scope.onSearch(false);
+						return;
 					}
+
+					$scope.flags.isSearchPending = true;
+					autoSearchPromise = $timeout(function() {
+						autoSearchPromise = null;
+						$scope.onSearch(false);
+					}, $scope.autoSearchDelay);
 				}
+			})
+		}
 
-			});
+		/**
+			Cancels the auto search that is waiting for the user to stop typing.
+		*/
+		function cancelAutoSearch() {
+			$timeout.cancel(autoSearchPromise);
+			autoSearchPromise = null;
+			$scope.flags.isSearchPending = false;
+		}
 
-			if (!$scope.flags.isSearching && shouldResetViewport) {
-				$scope.resetViewport();
+		/**
+			Returns the text that should be searched for, according
+			to the "normalizeSearch" option.
+		*/
+		function normalizeSearchText(text) {
+			if (text === null || typeof text === "undefined") {
+				text = "";
 			}
-
-			if ($scope.allowLocalStorage) {
-				updateStorage();
+			text = String(text);
+			if (angular.isFunction($scope.normalizeSearch)) {
+				return $scope.normalizeSearch(text);
+			} else if ($scope.normalizeSearch) {
+				return text.trim().replace(/\s+/g, " ");
 			}
+			return text;
+		}
+
+		/**
+			Makes the "isSearchDone" property available
+			for identifying when a user searched for something and
+			the results are in. Useful for knowing when to display
+			"X results were found" type of information.
+		*/
+		watch(function(){
+			return $scope.flags.isSearching && !$scope.flags.isLoading;
+		}, function(newVal) {
+			$scope.flags.isSearchDone = newVal;
+		});
 
-			return notifiableObjects;
-		};
 
 		/**
-			Function called whenever the GlobalPolling mechanism
-			identified that the data should be updated.
+			Stops the viewport. See "Lifecycle" above.
 		*/
-		$scope.processPolling = function(event, newData) {
-			var backgroundUpdate = $scope.flags.isSearching;
-			if (backgroundUpdate) {
-				angular.extend(paginationCache, emptyPagination);
-			} else {
-				angular.extend($scope.pagination, emptyPagination);
+		$scope.destroy = function() {
+			if (isDestroyed) {
+				return;
+			}
+			$scope.pendingDeletes.commitAll();
+			isDestroyed = true;
+			cancelPendingRequest();
+			cancelAutoSearch();
+			stopPolling();
+			closeLiveSource();
+			pausedEvents.length = 0;
+			deregistrations.forEach(function(deregister) {
+				deregister();
+			});
+			deregistrations.length = 0;
+			if (!options['scope']) {
+				// The scope was created by "create"
+				eventScope.$destroy();
 			}
-			$scope.onRefresh(backgroundUpdate);
-			// processServerResults(newData, true, backgroundUpdate);
 		};
 
 		/**
-			Function called whenever items are deleted and should be removed.
-			It is triggered by an event broadcasted by DataSyncHelper.
+			Queues the events received until "resume" is called.
 		*/
-		$scope.processDelete = function(event, deletedObjects) {
-			var shouldResetViewport = false;
-			deletedObjects.forEach(function(object,idx){
-				var id = getObjectId(object);
-				var oldIdx = $scope.findObjectToDelete(id);
-				if (oldIdx !== -1) {
-					// We have an object that must be deleted
-					$scope.allObjects.splice(oldIdx, 1);
-					shouldResetViewport = true;
-				}
-			});
+		$scope.pause = function() {
+			$scope.flags.isPaused = true;
+		};
 
-			if (!$scope.flags.isSearching && shouldResetViewport) {
-				$scope.resetViewport();
+		/**
+			Processes the events queued while paused.
+		*/
+		$scope.resume = function() {
+			if (!$scope.flags.isPaused) {
+				return;
 			}
+			$scope.flags.isPaused = false;
 
-			if ($scope.allowLocalStorage) {
-				updateStorage();
+			var batches = [];
+			var polling = null;
+			pausedEvents.splice(0, pausedEvents.length).forEach(function(pausedEvent) {
+				if (pausedEvent.methodName === "processPolling") {
+					polling = pausedEvent;
+					return;
+				}
+				var lastBatch = batches[batches.length - 1];
+				if (lastBatch && lastBatch.methodName === pausedEvent.methodName) {
+					Array.prototype.push.apply(lastBatch.data, pausedEvent.data);
+				} else {
+					batches.push({methodName: pausedEvent.methodName, event: pausedEvent.event, data: pausedEvent.data.slice(0)});
+				}
+			});
+
+			batches.forEach(function(batch) {
+				$scope[batch.methodName](batch.event, batch.data);
+			});
+			if (polling !== null) {
+				$scope.processPolling(polling.event, polling.data);
 			}
 		};
 
-		$scope.findObjectToDelete = function(idToDelete) {
-			// This method is meant to allow overriding this logic.
+		// Boolean indicating if events are being queued
+		$scope.flags.isPaused = false;
 
-			return $scope.allObjects.indexOfObject({"id":idToDelete});
-		}
+		// Boolean indicating if the live source is connected
+		$scope.flags.isLiveConnected = false;
+
+		// Live source connection, in the format {close: function}
+		var liveConnection = null;
+
+		// Boolean indicating if the live source was connected before, so that reconnecting refreshes the viewport
+		var wasLiveConnected = false;
+
+		// Number of attempts of reconnecting to the live source and the promise of the next one
+		var liveReconnectAttempt = 0;
+		var liveReconnectPromise = null;
+
+		// Boolean indicating if a reload is waiting for the query running to finish
+		var isReloadPending = false;
 
 		/**
-			Helper function that finds the id of an object.
-			It loops through the objects properties
+			Connects to the live source. See "Live updates" above.
 		*/
-		function getObjectId(object) {
-			var keys = Object.keys(object);
-			var id = 0;
-			keys.forEach(function(key,idx){
-				if (key.indexOf("id") !== -1) {
-					id=object[key];
+		function connectLiveSource() {
+			liveReconnectPromise = null;
+			var source = $scope.liveSource;
+			if (angular.isFunction(source)) {
+				var isOpen = true;
+				var unsubscribe = source(function(message) {
+					if (isOpen) {
+						$rootScope.$applyAsync(function() {
+							receiveLiveMessage(message);
+						});
+					}
+				}, function() {
+					if (isOpen) {
+						isOpen = false;
+						onLiveClose();
+					}
+				});
+				liveConnection = {
+					close: function() {
+						isOpen = false;
+						if (angular.isFunction(unsubscribe)) {
+							unsubscribe();
+						}
+					}
+				};
+				onLiveOpen();
+			} else if (/^wss?:/.test(source)) {
+				var socket;
+				try {
+					socket = new $window.WebSocket(source);
+				} catch (err) {
+					// Invalid url, handled as a connection that was closed
+					onLiveClose();
+					return;
 				}
-			});
-			if (id === 0) {
-				throw "Object id was not found for object: " + JSON.stringify(object);
+				socket.onopen = onLiveOpen;
+				socket.onmessage = function(event) {
+					$rootScope.$applyAsync(function() {
+						receiveLiveMessage(event.data);
+					});
+				};
+				socket.onclose = onLiveClose;
+				liveConnection = {
+					close: function() {
+						socket.onclose = null;
+						socket.close();
+					}
+				};
+			} else {
+				var eventSource;
+				try {
+					eventSource = new $window.EventSource(source);
+				} catch (err) {
+					onLiveClose();
+					return;
+				}
+				eventSource.onopen = onLiveOpen;
+				eventSource.onmessage = function(event) {
+					$rootScope.$applyAsync(function() {
+						receiveLiveMessage(event.data);
+					});
+				};
+				eventSource.onerror = function() {
+					// Reconnecting is done here instead of by EventSource, so that the viewport is refreshed
+					eventSource.close();
+					onLiveClose();
+				};
+				liveConnection = {
+					close: function() {
+						eventSource.close();
+					}
+				};
 			}
-			return id;
+		}
+
+		function onLiveOpen() {
+			$rootScope.$applyAsync(function() {
+				$scope.flags.isLiveConnected = true;
+				liveReconnectAttempt = 0;
+				if (wasLiveConnected) {
+					// Loads the updates missed while disconnected
+					reloadCurrentQuery();
+				}
+				wasLiveConnected = true;
+			});
 		}
 
 		/**
-			Callback for the search button
+			Loads the first page of the current query again, reconciling it
+			with the items shown (see "revalidate"). The search, the cached
+			queries and the pages loaded after the first one are kept. If a
+			query is running, the reload waits for it to finish.
 		*/
-		$scope.onSearch = function (hideLoading) {
-			if ($scope.searchText === '') {
-				return $scope.onClearSearch();
+		function reloadCurrentQuery() {
+			isReloadPending = false;
+			if (!$scope.shouldLoad || $scope.pagination.page === 0) {
+				// Nothing was loaded yet, so the query running brings the latest items
+				return;
 			}
-			if (!$scope.flags.isSearching) {
-				paginationCache = angular.copy($scope.pagination);
+			if (isQueryRunning()) {
+				isReloadPending = true;
+				return;
 			}
-
-			$scope.flags.isSearching = true;
-			$scope.currentSearch = $scope.searchText;
-			if (!$scope.autoSearch) {
-				$scope.objectsViewport = [];
+			if ($scope.paginationMode === "cursor" && !$scope.caching && $scope.pagination.page > 1) {
+				// The cursor of the current page is unknown, the page is up to date once the user moves
+				return;
 			}
+			loadFromServer(false, true);
+		}
 
-			angular.extend($scope.pagination, emptyPagination)
-			$scope.onLoadMore(hideLoading);
+		/**
+			Runs the reload that was waiting for a query to finish.
+		*/
+		function runPendingReload() {
+			if (isReloadPending && !isQueryRunning()) {
+				reloadCurrentQuery();
+			}
+		}
 
-		};
+		function onLiveClose() {
+			liveConnection = null;
+			$rootScope.$applyAsync(function() {
+				$scope.flags.isLiveConnected = false;
+			});
+			if (isDestroyed) {
+				return;
+			}
+			var delay = Math.min($scope.retryDelay * Math.pow(2, liveReconnectAttempt), 30000);
+			liveReconnectAttempt++;
+			liveReconnectPromise = $timeout(connectLiveSource, delay);
+		}
 
+		function closeLiveSource() {
+			$timeout.cancel(liveReconnectPromise);
+			liveReconnectPromise = null;
+			if (liveConnection !== null) {
+				liveConnection.close();
+				liveConnection = null;
+			}
+			$scope.flags.isLiveConnected = false;
+		}
 
 		/**
-			Callback for clear (x) button
+			Processes a message received from the live source.
 		*/
-		$scope.onClearSearch = function () {
-			$scope.flags.isSearching = false;
-			$scope.flags.isLoading = false;
-			$scope.currentSearch = "";
-			$scope.searchText = "";
-			$scope.pagination = angular.copy(paginationCache);
-			$scope.allSearchResults.length = 0;
-			$scope.resetViewport();
-		};
+		function receiveLiveMessage(message) {
+			if (angular.isString(message)) {
+				try {
+					message = angular.fromJson(message);
+				} catch (err) {
+					return;
+				}
+			}
+			if (!angular.isObject(message)) {
+				return;
+			}
+			var items = message.items || (message.item ? [message.item] : []);
+			if (items.length === 0) {
+				return;
+			}
 
+			if (message.type === "deleted") {
+				processEvent("processDelete")(null, items);
+			} else if (message.type === "created" || message.type === "updated") {
+				var matching = items.filter(matchesQuery);
+				var notMatching = items.filter(function(item) {
+					return matching.indexOf(item) === -1 && typeof checkItemInCache(item) !== "undefined";
+				});
+				if (matching.length > 0) {
+					processEvent("processUpdate")(null, matching);
+				}
+				if (notMatching.length > 0) {
+					processEvent("processDelete")(null, notMatching);
+				}
+			}
+		}
 
 		/**
-			Automatic searching as the user types.
+			Checks if an item received from the live source matches the
+			current query args and filters.
 		*/
-		if ($scope.autoSearch) {
-			$scope.$watch(function(){
-				return $scope.searchText;
-			}, function(newVal, oldVal) {
-				if (newVal === oldVal) {
-					return;
-				}
+		function matchesQuery(item) {
+			var queryParams = typeof $scope.getQueryArgs !== "undefined" ? $scope.getQueryArgs(false) : angular.copy($scope.queryArgs);
+			addFiltersAndOrdering(queryParams);
+			delete queryParams[$scope.orderingParam];
 
-				if ($scope.searchText === "") {
-					$scope.onClearSearch();
-				} else {
-					if (newVal.length >= $scope.autoSearchMin){
-						$scope.onSearch(false);
-					}
+			if (typeof $scope.filterLiveItem !== "undefined") {
+				return $scope.filterLiveItem(item, queryParams);
+			}
+			return Object.keys(queryParams).every(function(name) {
+				if (!item.hasOwnProperty(name)) {
+					return true;
 				}
-			})
+				var value = queryParams[name];
+				return angular.equals(item[name], value) || (!angular.isObject(value) && String(item[name]) === String(value));
+			});
+		}
+
+		if (typeof $scope.liveSource !== "undefined") {
+			connectLiveSource();
 		}
 
+		// Events received while paused, in the format {methodName, event, data}
+		var pausedEvents = [];
+
 		/**
-			Makes the "isSearchDone" property available
-			for identifying when a user searched for something and
-			the results are in. Useful for knowing when to display
-			"X results were found" type of information.
+			Returns a listener that calls the method "methodName" or queues
+			the event while paused.
 		*/
-		$scope.$watch(function(){
-			return $scope.flags.isSearching && !$scope.flags.isLoading;
-		}, function(newVal) {
-			$scope.flags.isSearchDone = newVal;
-		});
+		function processEvent(methodName) {
+			return function(event, data) {
+				if ($scope.flags.isPaused) {
+					pausedEvents.push({methodName: methodName, event: event, data: data});
+				} else {
+					$scope[methodName](event, data);
+				}
+			};
+		}
+
+		function watch(watchExpression, listener, objectEquality) {
+			deregistrations.push(eventScope.$watch(watchExpression, listener, objectEquality));
+		}
+
+		function watchCollection(watchExpression, listener) {
+			deregistrations.push(eventScope.$watchCollection(watchExpression, listener));
+		}
 
+		function listen(eventName, listener) {
+			deregistrations.push(eventScope.$on(eventName, listener));
+		}
+
+		listen("$destroy", $scope.destroy);
 
 		// EVENTS
 		// Start listening to update event
 		if (typeof $scope.eventUpdate !== 'undefined') {
-			$scope.$on($scope.eventUpdate, $scope.processUpdate);
+			listen($scope.eventUpdate, processEvent("processUpdate"));
 		}
 
 		// Start listening to delete event
 		if (typeof $scope.eventDelete !== 'undefined') {
-			$scope.$on($scope.eventDelete, $scope.processDelete);
+			listen($scope.eventDelete, processEvent("processDelete"));
 		}
 
 		// Start listening to polling event
 		if (typeof $scope.eventPolling !== 'undefined') {
-			$scope.$on($scope.eventPolling, $scope.processPolling);
+			listen($scope.eventPolling, processEvent("processPolling"));
+		}
+
+		restorePageSize();
+		if ($scope.syncLocation) {
+			startFromLocation();
+		} else {
+			$scope.onLoadMore();
+		}
+	}
+
+	/**
+		Returns the page links shown around the current page, in the format
+		{page: 3, current: false}. Gaps between the boundary links and the
+		links around the current page are returned as {gap: true}, except
+		when they would hide a single page, which is shown instead.
+	*/
+	function getPageList(currentPage, numberPages, around, boundaryLinks) {
+		var pages = [];
+		if (currentPage < 1) {
+			return pages;
+		}
+		numberPages = Math.max(numberPages || 0, currentPage);
+		var start = Math.max(1, currentPage - around);
+		var end = Math.min(numberPages, currentPage + around);
+
+		if (boundaryLinks) {
+			if (start === 3) {
+				start = 2;
+			}
+			if (end === numberPages - 2) {
+				end = numberPages - 1;
+			}
+		}
+
+		function addPage(page) {
+			pages.push({page: page, current: page === currentPage});
 		}
 
-		$scope.onLoadMore();
+		if (boundaryLinks && start > 1) {
+			addPage(1);
+			if (start > 2) {
+				pages.push({gap: true});
+			}
+		}
+		for (var page = start; page <= end; page++) {
+			addPage(page);
+		}
+		if (boundaryLinks && end < numberPages) {
+			if (end < numberPages - 1) {
+				pages.push({gap: true});
+			}
+			addPage(numberPages);
+		}
+		return pages;
 	}
 
 	return {
-		scopeToViewport: scopeToViewport
+		create: create,
+		scopeToViewport: scopeToViewport,
+		getPageList: getPageList,
+		responseAdapters: responseAdapters,
+		setDefaultResponseAdapter: setDefaultResponseAdapter,
+		storageAdapters: storageAdapters
 	};
 
 }])
@@ -843,35 +5156,41 @@ angular.module('viewportFactory',[])
 
 .run(['$templateCache', function($templateCache){
 	var template = "" +
-		'<div class="bottom">' +
+		'<div class="bottom pagination-controls" ng-class="\'pagination-\' + controls.layout">' +
 		//Pagination info
-		'<div class="dataTables_info col-md-6" style="padding-top: 0.755em;">' +
-			'Exibindo itens {{ pagination.firstItem }} a {{ pagination.lastItem }} de um total de {{ pagination.numberResults }}.' +
+		'<div class="dataTables_info col-md-6" style="padding-top: 0.755em;" ng-if="controls.layout === \'full\'">' +
+			'{{ translate("info", {first: viewport.pagination.firstItem, last: viewport.pagination.lastItem, total: viewport.pagination.numberResults, count: viewport.pagination.numberResults}) }}' +
 		'</div>' +
 
 		//Pagination buttons
-		'<div class="col-md-6 text-right">' +
-			'<a class="btn btn-primary paging-buttons" ng-click="onPreviousPage()" ng-disabled="!pagination.previous">Anterior</a>' +
-
-			'<a class="btn btn-primary paging-buttons" ng-show="pagination.numberPages >= 1 && pagination.page > 1" ng-click="onMoveToPage(1)">1</a>' +
-
-			'<span ng-show="pagination.page >= 4">...</span>' +
-
-			'<a class="btn btn-primary paging-buttons" ng-show="pagination.page - 2 > 1 && pagination.page == pagination.numberPages" ng-bind="pagination.page - 2" ng-click="onMoveToPage(pagination.page - 2)"></a>' +
+		'<div ng-class="controls.layout === \'full\' ? \'col-md-6 text-right\' : \'text-center\'">' +
+			'<a class="btn btn-primary paging-buttons" ng-if="controls.firstLast && viewport.paginationMode !== \'cursor\'" ng-click="viewport.pagination.previous && viewport.onMoveToPage(1)" ng-disabled="!viewport.pagination.previous">{{ translate("first") }}</a>' +
 
-			'<a class="btn btn-primary paging-buttons" ng-show="pagination.page - 1 > 1" ng-bind="pagination.page - 1" ng-click="onMoveToPage(pagination.page - 1)"></a>' +
+			'<a class="btn btn-primary paging-buttons" ng-click="viewport.pagination.previous && viewport.onPreviousPage()" ng-disabled="!viewport.pagination.previous">{{ translate("previous") }}</a>' +
 
-			'<a class="btn btn-primary paging-buttons current" ng-bind="pagination.page"></a>' +
+			'<span ng-if="viewport.paginationMode !== \'cursor\' && controls.layout !== \'mobile\'">' +
+			'<span ng-repeat="link in controls.pages">' +
+				'<span ng-if="link.gap">...</span>' +
+				'<a class="btn btn-primary paging-buttons" ng-if="!link.gap" ng-class="{current: link.current}" ng-bind="link.page" ng-click="link.current || viewport.onMoveToPage(link.page)"></a>' +
+			'</span>' +
+			'</span>' +
 
-			'<a class="btn btn-primary paging-buttons" ng-show="pagination.page + 1 < pagination.numberPages" ng-bind="pagination.page + 1" ng-click="onMoveToPage(pagination.page + 1)"></a>' +
+			'<span class="paging-info" ng-if="controls.layout === \'mobile\'">{{ translate("pageOf", {page: viewport.pagination.page, pages: viewport.pagination.numberPages}) }}</span>' +
 
-			'<a class="btn btn-primary paging-buttons" ng-show="pagination.page + 2 < pagination.numberPages && pagination.page < 3" ng-bind="pagination.page + 2" ng-click="onMoveToPage(pagination.page + 2)"></a>' +
+			'<a class="btn btn-primary paging-buttons" ng-click="viewport.pagination.more && !viewport.flags.isLoading && !viewport.flags.isLoadingMore && viewport.onNextPage()" ng-disabled="!viewport.pagination.more || viewport.flags.isLoading || viewport.flags.isLoadingMore">{{ translate("next") }}</a>' +
 
-			'<span ng-show="pagination.page < pagination.numberPages - 1">...</span>' +
+			'<a class="btn btn-primary paging-buttons" ng-if="controls.firstLast && viewport.paginationMode !== \'cursor\'" ng-click="viewport.pagination.page < viewport.pagination.numberPages && viewport.onMoveToPage(viewport.pagination.numberPages)" ng-disabled="viewport.pagination.page >= viewport.pagination.numberPages">{{ translate("last") }}</a>' +
 
-			'<a class="btn btn-primary paging-buttons" ng-show="pagination.numberPages > 1 && pagination.page < pagination.numberPages" ng-bind="pagination.numberPages" ng-click="onMoveToPage(pagination.numberPages)"></a>' +
+			//Go to page
+			'<form class="paging-go-to form-inline" ng-if="controls.goToPage && viewport.paginationMode !== \'cursor\' && viewport.pagination.numberPages > 1" ng-submit="onGoToPage()">' +
+				'<input class="form-control" type="number" min="1" max="{{ viewport.pagination.numberPages }}" ng-model="controls.targetPage" placeholder="{{ translate(\'goToPage\') }}">' +
+				'<button class="btn btn-primary" type="submit">{{ translate("go") }}</button>' +
+			'</form>' +
 
-			'<a class="btn btn-primary paging-buttons" ng-click="onNextPage()" ng-disabled="!pagination.more || flags.isLoading || flags.isLoadingMore">Próxima</a>' +
+			//Page size
+			'<label class="paging-page-size" ng-if="controls.pageSizes.length > 0 && viewport.setPageSize">{{ translate("pageSize") }} ' +
+				'<select class="form-control" ng-model="controls.pageSize" ng-change="viewport.setPageSize(controls.pageSize)" ng-options="size for size in controls.pageSizes"></select>' +
+			'</label>' +
 		'</div>' +
 	'</div>';
 	$templateCache.put('/viewport/pagination.html', template);
@@ -0,0 +1,136 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("client side mode", function() {
+	var window, $rootScope, ViewportFactory, viewport, localData;
+
+	beforeEach(function() {
+		var app = helpers.bootstrap();
+		window = app.window;
+		$rootScope = app.injector.get("$rootScope");
+		ViewportFactory = app.injector.get("ViewportFactory");
+		localData = [{id: 1, name: "a"}, {id: 2, name: "b"}, {id: 3, name: "c"}];
+	});
+
+	afterEach(function() {
+		viewport.destroy();
+		window.close();
+	});
+
+	function createViewport(options) {
+		viewport = ViewportFactory.create(window.angular.extend({localData: localData, pageSize: 10}, options));
+		$rootScope.$digest();
+	}
+
+	function names(items) {
+		return items.map(function(item) {
+			return item.name;
+		});
+	}
+
+	function run(fn) {
+		var result;
+		$rootScope.$apply(function() {
+			result = fn();
+		});
+		return result;
+	}
+
+	it("creates, saves and deletes objects locally without an ObjectService", function() {
+		createViewport();
+		assert.deepEqual(names(viewport.objectsViewport), ["a", "b", "c"]);
+
+		run(viewport.onCreate);
+		var created = viewport.allObjects[0];
+		assert.strictEqual(created.isUnsaved, true);
+
+		run(function() {
+			return viewport.onSave(created, {id: 4, name: "d"});
+		});
+		assert.strictEqual(created.isUnsaved, undefined);
+		assert.strictEqual(created.hasError, false);
+		assert.deepEqual(names(localData), ["a", "b", "c", "d"]);
+
+		run(function() {
+			return viewport.onDelete(localData[1]);
+		});
+		assert.deepEqual(names(localData), ["a", "c", "d"]);
+
+		run(viewport.onRefresh);
+		assert.deepEqual(names(viewport.objectsViewport), ["a", "c", "d"]);
+	});
+
+	it("updates localData after ObjectService saves and deletes objects", function() {
+		var calls = [];
+		createViewport({ObjectService: {
+			save: function(item, success) {
+				calls.push("save");
+				success({id: 4});
+			},
+			delete: function(item, success) {
+				calls.push("delete");
+				success();
+			}
+		}});
+
+		var item = {name: "d", isUnsaved: true};
+		run(function() {
+			viewport.allObjects.unshift(item);
+			return viewport.onSave(item);
+		});
+		assert.strictEqual(item.id, 4);
+		assert.deepEqual(names(localData), ["a", "b", "c", "d"]);
+
+		run(function() {
+			return viewport.onDelete(localData[0]);
+		});
+		assert.deepEqual(calls, ["save", "delete"]);
+		assert.deepEqual(names(localData), ["b", "c", "d"]);
+	});
+
+	it("keeps localData when ObjectService fails to delete an object", function() {
+		createViewport({ObjectService: {
+			delete: function(item, success, error) {
+				error("Forbidden");
+			}
+		}});
+
+		var result = run(function() {
+			return viewport.onDelete(localData[0]);
+		});
+		var status;
+		run(function() {
+			result.then(function(value) {
+				status = value;
+			});
+		});
+		assert.deepEqual(status, {failed: true, error: "Forbidden"});
+		assert.deepEqual(names(localData), ["a", "b", "c"]);
+		assert.deepEqual(names(viewport.objectsViewport), ["a", "b", "c"]);
+	});
+});
+
+describe("ObjectService methods", function() {
+	it("fail with a clear error when they aren't implemented", function() {
+		var app = helpers.bootstrap();
+		var $rootScope = app.injector.get("$rootScope");
+		var viewport = app.injector.get("ViewportFactory").create({ObjectService: {
+			query: function(queryParams, success) {
+				success({count: 1, next: null, previous: null, results: [{id: 1}]});
+			}
+		}});
+		$rootScope.$digest();
+
+		var status;
+		$rootScope.$apply(function() {
+			viewport.onSave(viewport.allObjects[0], {name: "x"}).then(function(value) {
+				status = value;
+			});
+		});
+		assert.deepEqual(status, {failed: true, error: "ObjectService has no method: update"});
+		assert.strictEqual(viewport.allObjects[0].name, undefined);
+
+		viewport.destroy();
+		app.window.close();
+	});
+});
@@ -0,0 +1,104 @@
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+var angularSource = fs.readFileSync(require.resolve("angular/angular.js"), "utf8");
+var viewportSource = fs.readFileSync(path.join(__dirname, "../src/angular-viewport.js"), "utf8");
+
+/**
+	Loads AngularJS and angular-viewport in a new window at "url", returning
+	the window and an injector of the "viewportFactory" module and of the
+	"modules" given.
+*/
+function bootstrap(url, modules) {
+	var dom = new JSDOM("<!doctype html><html><body></body></html>", {runScripts: "outside-only", pretendToBeVisual: true, url: url || "http://localhost/"});
+	var window = dom.window;
+	window.eval(angularSource);
+	window.eval(viewportSource);
+	var injector = window.angular.injector(["ng", "viewportFactory", ["$provide", function($provide) {
+		$provide.value("$rootElement", window.angular.element(window.document.body));
+	}]].concat(modules || []));
+	return {window: window, injector: injector};
+}
+
+/**
+	Returns a promise resolved once "condition" returns true, or rejected
+	after "timeout" milliseconds.
+*/
+function waitFor(condition, timeout) {
+	var limit = Date.now() + (timeout || 2000);
+	return new Promise(function(resolve, reject) {
+		(function check() {
+			if (condition()) {
+				resolve();
+			} else if (Date.now() > limit) {
+				reject(new Error("Timed out waiting for condition: " + condition));
+			} else {
+				setTimeout(check, 5);
+			}
+		})();
+	});
+}
+
+/**
+	Creates an ObjectService whose query method answers with the items
+	returned by "getItems(queryParams)", recording the params received.
+	If "pageSize" is given, the items are split in pages. While "held" is
+	true, the answers wait until "release(reversed)" is called. The indexes
+	of the queries whose abort promise was resolved are kept in "aborted".
+*/
+function createService($rootScope, getItems, pageSize) {
+	var waiting = [];
+	var service = {
+		queries: [],
+		aborted: [],
+		held: false,
+		query: function(queryParams, success, error, abort) {
+			var queryIndex = service.queries.push(queryParams) - 1;
+			if (abort) {
+				abort.then(function() {
+					service.aborted.push(queryIndex);
+				});
+			}
+			function answer() {
+				if ($rootScope.$$destroyed) {
+					// The test is over
+					return;
+				}
+				var items = getItems(queryParams);
+				var count = items.length;
+				var page = queryParams.page || 1;
+				var hasNext = false;
+				if (pageSize) {
+					hasNext = page * pageSize < count;
+					items = items.slice((page - 1) * pageSize, page * pageSize);
+				}
+				$rootScope.$apply(function() {
+					success({count: count, next: hasNext ? page + 1 : null, previous: page > 1 ? page - 1 : null, results: items});
+				});
+			}
+			if (service.held) {
+				waiting.push(answer);
+			} else {
+				setTimeout(answer, 1);
+			}
+		},
+		release: function(reversed) {
+			service.held = false;
+			var answers = waiting.splice(0, waiting.length);
+			if (reversed) {
+				answers.reverse();
+			}
+			answers.forEach(function(answer) {
+				setTimeout(answer, 1);
+			});
+		}
+	};
+	return service;
+}
+
+module.exports = {
+	bootstrap: bootstrap,
+	waitFor: waitFor,
+	createService: createService
+};
@@ -0,0 +1,56 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("destroy", function() {
+	var window, $rootScope, viewport, deletes;
+
+	beforeEach(function() {
+		var app = helpers.bootstrap();
+		window = app.window;
+		$rootScope = app.injector.get("$rootScope");
+		deletes = [];
+		var service = helpers.createService($rootScope, function() {
+			return [{id: 1}, {id: 2}];
+		});
+		service.delete = function(item, success, error) {
+			deletes.push(item.id);
+			setTimeout(function() {
+				$rootScope.$apply(function() {
+					if (item.id === 1) {
+						success();
+					} else {
+						error("Forbidden");
+					}
+				});
+			}, 1);
+		};
+		viewport = app.injector.get("ViewportFactory").create({ObjectService: service});
+		return helpers.waitFor(function() {
+			return viewport.allObjects.length === 2;
+		});
+	});
+
+	afterEach(function() {
+		window.close();
+	});
+
+	it("settles the promises of the pending deletes it sends", function() {
+		var results = [];
+		$rootScope.$apply(function() {
+			viewport.allObjects.slice(0).forEach(function(item) {
+				viewport.onDelete(item, {undoable: true, delay: 10000}).then(function(result) {
+					results.push(result);
+				});
+			});
+		});
+		viewport.destroy();
+		assert.deepEqual(deletes, [1, 2]);
+
+		return helpers.waitFor(function() {
+			return results.length === 2;
+		}).then(function() {
+			assert.strictEqual(results[0].id, 1);
+			assert.deepEqual(results[1], {failed: true, error: "Forbidden"});
+		});
+	});
+});
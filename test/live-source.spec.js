@@ -0,0 +1,233 @@
+var assert = require("assert");
+var WebSocketServer = require("ws").WebSocketServer;
+var helpers = require("./helpers");
+
+describe("liveSource", function() {
+	var server, url, clients, window, $rootScope, ViewportFactory, viewport;
+
+	beforeEach(function(done) {
+		clients = [];
+		server = new WebSocketServer({port: 0}, function() {
+			url = "ws://localhost:" + server.address().port;
+			done();
+		});
+		server.on("connection", function(client) {
+			clients.push(client);
+		});
+
+		var app = helpers.bootstrap();
+		window = app.window;
+		$rootScope = app.injector.get("$rootScope");
+		ViewportFactory = app.injector.get("ViewportFactory");
+	});
+
+	afterEach(function(done) {
+		if (viewport) {
+			viewport.destroy();
+			viewport = null;
+		}
+		window.close();
+		server.close(function() {
+			done();
+		});
+	});
+
+	function lastClient() {
+		return clients[clients.length - 1];
+	}
+
+	function send(message) {
+		lastClient().send(JSON.stringify(message));
+	}
+
+	function ids() {
+		return viewport.objectsViewport.map(function(item) {
+			return item.id;
+		});
+	}
+
+	function createViewport(options) {
+		var service = helpers.createService($rootScope, function() {
+			return [{id: 1, team: "a"}, {id: 2, team: "a"}, {id: 3, team: "a"}];
+		});
+		viewport = ViewportFactory.create(window.angular.extend({
+			ObjectService: service,
+			liveSource: url,
+			queryArgs: {team: "a"},
+			retryDelay: 10
+		}, options));
+		return service;
+	}
+
+	it("processes the items received through the socket", function() {
+		createViewport();
+		return helpers.waitFor(function() {
+			return viewport.flags.isLiveConnected && ids().length === 3;
+		}).then(function() {
+			send({type: "created", items: [{id: 10, team: "a"}, {id: 11, team: "b"}]});
+			send({type: "updated", item: {id: 2, team: "b"}});
+			send({type: "deleted", item: {id: 3}});
+			return helpers.waitFor(function() {
+				return ids().length === 2;
+			});
+		}).then(function() {
+			assert.deepEqual(ids(), [10, 1]);
+		});
+	});
+
+	it("ignores messages that aren't valid JSON", function() {
+		createViewport();
+		return helpers.waitFor(function() {
+			return viewport.flags.isLiveConnected && ids().length === 3;
+		}).then(function() {
+			lastClient().send("garbage");
+			send({type: "created", item: {id: 10, team: "a"}});
+			return helpers.waitFor(function() {
+				return ids().length === 4;
+			});
+		}).then(function() {
+			assert.deepEqual(ids(), [10, 1, 2, 3]);
+		});
+	});
+
+	it("reconnects and reloads the current query, keeping the search", function() {
+		var service = createViewport();
+		return helpers.waitFor(function() {
+			return viewport.flags.isLiveConnected && ids().length === 3;
+		}).then(function() {
+			viewport.searchText = "x";
+			viewport.onSearch();
+			return helpers.waitFor(function() {
+				return service.queries.length === 2 && !viewport.flags.isLoading;
+			});
+		}).then(function() {
+			lastClient().terminate();
+			return helpers.waitFor(function() {
+				return clients.length === 2 && viewport.flags.isLiveConnected && service.queries.length === 3;
+			});
+		}).then(function() {
+			var reload = service.queries[2];
+			assert.strictEqual(reload.search, "x");
+			assert.strictEqual(reload.page, 1);
+			assert.strictEqual(viewport.currentSearch, "x");
+			assert.strictEqual(viewport.flags.isSearching, true);
+		});
+	});
+
+	function createPagedViewport() {
+		var items = [];
+		for (var id = 1; id <= 12; id++) {
+			items.push({id: id, team: "a"});
+		}
+		var service = helpers.createService($rootScope, function() {
+			return items;
+		}, 3);
+		viewport = ViewportFactory.create({
+			ObjectService: service,
+			liveSource: url,
+			pageSize: 3,
+			retryDelay: 10
+		});
+		service.items = items;
+		return service;
+	}
+
+	function reconnect() {
+		var count = clients.length;
+		lastClient().terminate();
+		return helpers.waitFor(function() {
+			return clients.length === count + 1 && viewport.flags.isLiveConnected;
+		});
+	}
+
+	it("keeps the pages loaded after the first one when it reconnects", function() {
+		var service = createPagedViewport();
+		return helpers.waitFor(function() {
+			return viewport.flags.isLiveConnected && ids().length === 3;
+		}).then(function() {
+			viewport.onNextPage();
+			return helpers.waitFor(function() {
+				return viewport.pagination.page === 2 && !viewport.flags.isLoadingMore;
+			});
+		}).then(function() {
+			viewport.onNextPage();
+			return helpers.waitFor(function() {
+				return viewport.pagination.page === 3 && !viewport.flags.isLoadingMore;
+			});
+		}).then(function() {
+			// Item 2 is deleted and item 13 is created while disconnected
+			service.items.splice(1, 1);
+			service.items.unshift({id: 13, team: "a"});
+			return reconnect();
+		}).then(function() {
+			return helpers.waitFor(function() {
+				return service.queries.length === 4 && !viewport.flags.isRevalidating;
+			});
+		}).then(function() {
+			assert.strictEqual(service.queries[3].page, 1);
+			assert.strictEqual(viewport.pagination.page, 3);
+			assert.deepEqual(viewport.allObjects.map(function(item) {
+				return item.id;
+			}), [13, 1, 3, 4, 5, 6, 7, 8, 9]);
+			assert.deepEqual(ids(), [7, 8, 9]);
+			assert.strictEqual(viewport.pagination.more, true);
+		});
+	});
+
+	it("reloads after the query running when it reconnects during a load", function() {
+		var service = createPagedViewport();
+		return helpers.waitFor(function() {
+			return viewport.flags.isLiveConnected && ids().length === 3;
+		}).then(function() {
+			service.held = true;
+			viewport.onLoadMore();
+			assert.strictEqual(viewport.flags.isLoadingMore, true);
+			return reconnect();
+		}).then(function() {
+			assert.strictEqual(service.queries.length, 2);
+			service.release();
+			return helpers.waitFor(function() {
+				return service.queries.length === 3 && !viewport.flags.isRevalidating;
+			});
+		}).then(function() {
+			assert.strictEqual(service.queries[2].page, 1);
+			assert.strictEqual(viewport.flags.isLoadingMore, false);
+			assert.strictEqual(viewport.flags.isLoading, false);
+			assert.strictEqual(viewport.allObjects.length, 6);
+
+			viewport.onLoadMore();
+			return helpers.waitFor(function() {
+				return viewport.allObjects.length === 9;
+			});
+		});
+	});
+
+	it("retries urls that can't be opened instead of failing", function() {
+		var connections = 0;
+		window.WebSocket = function() {
+			connections++;
+			throw new window.SyntaxError("Invalid url");
+		};
+		assert.doesNotThrow(function() {
+			createViewport({liveSource: "ws://invalid url"});
+		});
+		return helpers.waitFor(function() {
+			return connections >= 2;
+		}).then(function() {
+			assert.strictEqual(viewport.flags.isLiveConnected, false);
+		});
+	});
+
+	it("closes the socket when destroyed", function() {
+		createViewport();
+		return helpers.waitFor(function() {
+			return viewport.flags.isLiveConnected;
+		}).then(function() {
+			viewport.destroy();
+			viewport = null;
+			return helpers.waitFor(function() {
+				return server.clients.size === 0;
+			});
+		});
+	});
+});
@@ -0,0 +1,68 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("syncLocation", function() {
+	var app, $rootScope, $location, viewport;
+
+	function start(url) {
+		app = helpers.bootstrap(url);
+		$rootScope = app.injector.get("$rootScope");
+		$location = app.injector.get("$location");
+		var service = helpers.createService($rootScope, function() {
+			return [{id: 1}];
+		});
+		viewport = app.injector.get("ViewportFactory").create({ObjectService: service, syncLocation: true});
+		$rootScope.$digest();
+		return loaded();
+	}
+
+	function stop() {
+		viewport.destroy();
+		app.window.close();
+	}
+
+	function loaded() {
+		return helpers.waitFor(function() {
+			return viewport.pagination.page > 0 && !viewport.flags.isLoading;
+		});
+	}
+
+	function setFilters(filters) {
+		$rootScope.$apply(function() {
+			Object.keys(filters).forEach(function(name) {
+				viewport.setFilter(name, filters[name]);
+			});
+		});
+		return loaded();
+	}
+
+	afterEach(stop);
+
+	it("keeps plain strings readable in the url", function() {
+		return start().then(function() {
+			return setFilters({status: "open"});
+		}).then(function() {
+			assert.strictEqual($location.search().filter_status, "open");
+		});
+	});
+
+	it("keeps the type of the filter values", function() {
+		var filters = {code: "123", active: "true", empty: "null", quoted: "\"x\"", number: 123, flag: false, list: [1, "2"]};
+		return start().then(function() {
+			return setFilters(filters);
+		}).then(function() {
+			var url = app.window.location.href;
+			stop();
+			return start(url);
+		}).then(function() {
+			assert.deepEqual(JSON.parse(JSON.stringify(viewport.filters)), filters);
+		});
+	});
+
+	it("parses plain values written by hand in the url", function() {
+		return start("http://localhost/#!/?filter_status=open&filter_code=123").then(function() {
+			assert.strictEqual(viewport.filters.status, "open");
+			assert.strictEqual(viewport.filters.code, 123);
+		});
+	});
+});
@@ -0,0 +1,71 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("getPageList", function() {
+	var window, getPageList;
+
+	before(function() {
+		var app = helpers.bootstrap();
+		window = app.window;
+		getPageList = app.injector.get("ViewportFactory").getPageList;
+	});
+
+	after(function() {
+		window.close();
+	});
+
+	// Writes the list as "1 … 4 [5] 6 … 10" to keep the expectations readable
+	function pages(currentPage, numberPages, around, boundaryLinks) {
+		return getPageList(currentPage, numberPages, around, boundaryLinks).map(function(link) {
+			if (link.gap) {
+				return "…";
+			}
+			return link.current ? "[" + link.page + "]" : String(link.page);
+		}).join(" ");
+	}
+
+	it("returns no links before the first page is loaded", function() {
+		assert.strictEqual(pages(0, 0, 2, true), "");
+	});
+
+	it("returns a single link when there is a single page", function() {
+		assert.strictEqual(pages(1, 1, 2, false), "[1]");
+		assert.strictEqual(pages(1, 1, 2, true), "[1]");
+	});
+
+	it("shows the pages around the current one", function() {
+		assert.strictEqual(pages(5, 10, 2, false), "3 4 [5] 6 7");
+	});
+
+	it("clips the pages around the current one to the first and last page", function() {
+		assert.strictEqual(pages(1, 10, 2, false), "[1] 2 3");
+		assert.strictEqual(pages(2, 10, 2, false), "1 [2] 3 4");
+		assert.strictEqual(pages(9, 10, 2, false), "7 8 [9] 10");
+		assert.strictEqual(pages(10, 10, 2, false), "8 9 [10]");
+	});
+
+	it("includes the current page when the number of pages is unknown", function() {
+		assert.strictEqual(pages(3, null, 1, false), "2 [3]");
+		assert.strictEqual(pages(3, null, 1, true), "1 2 [3]");
+	});
+
+	it("adds the first and last page with gaps when boundaryLinks is set", function() {
+		assert.strictEqual(pages(5, 10, 1, true), "1 … 4 [5] 6 … 10");
+	});
+
+	it("doesn't add gaps next to the first and last page", function() {
+		assert.strictEqual(pages(1, 10, 1, true), "[1] 2 … 10");
+		assert.strictEqual(pages(2, 10, 1, true), "1 [2] 3 … 10");
+		assert.strictEqual(pages(9, 10, 1, true), "1 … 8 [9] 10");
+		assert.strictEqual(pages(10, 10, 1, true), "1 … 9 [10]");
+	});
+
+	it("shows the page instead of a gap that would hide a single page", function() {
+		assert.strictEqual(pages(4, 10, 1, true), "1 2 3 [4] 5 … 10");
+		assert.strictEqual(pages(7, 10, 1, true), "1 … 6 [7] 8 9 10");
+	});
+
+	it("shows every page without gaps when they all fit", function() {
+		assert.strictEqual(pages(3, 5, 2, true), "1 2 [3] 4 5");
+	});
+});
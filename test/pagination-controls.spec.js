@@ -0,0 +1,70 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("paginationControls", function() {
+	var window, $rootScope, errors, viewport, service, element;
+
+	beforeEach(function() {
+		errors = [];
+		var app = helpers.bootstrap(null, [["$provide", function($provide) {
+			$provide.value("$exceptionHandler", function(error) {
+				errors.push(error);
+			});
+		}]]);
+		window = app.window;
+		$rootScope = app.injector.get("$rootScope");
+		var items = [];
+		for (var id = 1; id <= 9; id++) {
+			items.push({id: id});
+		}
+		service = helpers.createService($rootScope, function() {
+			return items;
+		}, 3);
+		viewport = app.injector.get("ViewportFactory").create({ObjectService: service, pageSize: 3});
+
+		var scope = $rootScope.$new();
+		scope.vm = viewport;
+		element = app.injector.get("$compile")('<pagination-controls viewport="vm"></pagination-controls>')(scope);
+		window.document.body.appendChild(element[0]);
+		return helpers.waitFor(function() {
+			return viewport.pagination.page === 1 && !viewport.flags.isLoading;
+		}).then(function() {
+			$rootScope.$digest();
+		});
+	});
+
+	afterEach(function() {
+		viewport.destroy();
+		window.close();
+	});
+
+	// Clicks the link that calls the viewport method given
+	function click(methodName) {
+		var links = Array.prototype.filter.call(element[0].querySelectorAll("a"), function(link) {
+			return link.getAttribute("ng-click").indexOf("viewport." + methodName + "()") !== -1;
+		});
+		assert.strictEqual(links.length, 1);
+		links[0].click();
+	}
+
+	it("ignores clicks on Previous on the first page", function() {
+		click("onPreviousPage");
+		assert.deepEqual(errors, []);
+		assert.strictEqual(viewport.pagination.page, 1);
+	});
+
+	it("ignores clicks on Next while the next page is loading", function() {
+		service.held = true;
+		click("onNextPage");
+		click("onNextPage");
+		assert.deepEqual(errors, []);
+		assert.strictEqual(service.queries.length, 2);
+
+		service.release();
+		return helpers.waitFor(function() {
+			return !viewport.flags.isLoadingMore;
+		}).then(function() {
+			assert.strictEqual(viewport.pagination.page, 2);
+		});
+	});
+});
@@ -0,0 +1,129 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("pagination", function() {
+	var window, $rootScope, viewport, service;
+
+	beforeEach(function() {
+		var app = helpers.bootstrap();
+		window = app.window;
+		$rootScope = app.injector.get("$rootScope");
+		var items = [];
+		for (var id = 1; id <= 12; id++) {
+			items.push({id: id, name: id % 2 ? "odd" : "even"});
+		}
+		service = helpers.createService($rootScope, function(queryParams) {
+			return items.filter(function(item) {
+				return !queryParams.search || item.name === queryParams.search;
+			});
+		}, 3);
+		viewport = app.injector.get("ViewportFactory").create({ObjectService: service, pageSize: 3});
+		return loaded();
+	});
+
+	afterEach(function() {
+		viewport.destroy();
+		window.close();
+	});
+
+	function loaded() {
+		return helpers.waitFor(function() {
+			return viewport.pagination.page > 0 && !viewport.flags.isLoading && !viewport.flags.isLoadingMore;
+		});
+	}
+
+	function ids(items) {
+		return items.map(function(item) {
+			return item.id;
+		});
+	}
+
+	function apply(fn) {
+		$rootScope.$apply(fn);
+	}
+
+	function settle() {
+		return new Promise(function(resolve) {
+			setTimeout(resolve, 20);
+		});
+	}
+
+	function moveTo(page) {
+		apply(viewport.onNextPage);
+		return loaded().then(function() {
+			assert.strictEqual(viewport.pagination.page, page);
+		});
+	}
+
+	it("cancels the next page when moving to a previous page in cache", function() {
+		return moveTo(2).then(function() {
+			service.held = true;
+			apply(viewport.onNextPage);
+			apply(viewport.onPreviousPage);
+			assert.deepEqual(service.aborted, [2]);
+			assert.strictEqual(viewport.flags.isLoadingMore, false);
+			service.release();
+			return settle();
+		}).then(function() {
+			assert.strictEqual(viewport.pagination.page, 1);
+			assert.deepEqual(ids(viewport.objectsViewport), [1, 2, 3]);
+			assert.deepEqual(ids(viewport.allObjects), [1, 2, 3, 4, 5, 6]);
+
+			return moveTo(2);
+		}).then(function() {
+			return moveTo(3);
+		}).then(function() {
+			assert.deepEqual(ids(viewport.objectsViewport), [7, 8, 9]);
+		});
+	});
+
+	it("cancels the next page when moving to a page in cache", function() {
+		return moveTo(2).then(function() {
+			return moveTo(3);
+		}).then(function() {
+			service.held = true;
+			apply(viewport.onNextPage);
+			apply(function() {
+				viewport.onMoveToPage(1);
+			});
+			assert.deepEqual(service.aborted, [3]);
+			service.release();
+			return settle();
+		}).then(function() {
+			assert.strictEqual(viewport.pagination.page, 1);
+			assert.strictEqual(viewport.flags.isLoadingMore, false);
+			assert.deepEqual(ids(viewport.objectsViewport), [1, 2, 3]);
+			assert.deepEqual(ids(viewport.allObjects), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+		});
+	});
+
+	it("ignores responses received out of order", function() {
+		service.held = true;
+		apply(function() {
+			viewport.searchText = "even";
+			viewport.onSearch();
+		});
+		apply(function() {
+			viewport.searchText = "odd";
+			viewport.onSearch();
+		});
+		service.release(true);
+		return settle().then(function() {
+			assert.strictEqual(viewport.currentSearch, "odd");
+			assert.deepEqual(ids(viewport.allSearchResults), [1, 3, 5]);
+			assert.deepEqual(ids(viewport.allObjects), [1, 2, 3]);
+
+			service.held = true;
+			apply(viewport.onNextPage);
+			apply(viewport.onRefresh);
+			service.release(true);
+			return settle();
+		}).then(function() {
+			// The refresh also ends the search
+			assert.strictEqual(viewport.flags.isSearching, false);
+			assert.strictEqual(viewport.pagination.page, 1);
+			assert.deepEqual(ids(viewport.allObjects), [1, 2, 3]);
+			assert.deepEqual(ids(viewport.objectsViewport), [1, 2, 3]);
+		});
+	});
+});
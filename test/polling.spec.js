@@ -0,0 +1,58 @@
+var assert = require("assert");
+var helpers = require("./helpers");
+
+describe("polling", function() {
+	var window, $rootScope, viewport, service;
+
+	beforeEach(function() {
+		var app = helpers.bootstrap();
+		window = app.window;
+		$rootScope = app.injector.get("$rootScope");
+		service = helpers.createService($rootScope, function(queryParams) {
+			return queryParams.since ? [{id: 3}] : [{id: 1}, {id: 2}];
+		});
+		viewport = app.injector.get("ViewportFactory").create({ObjectService: service, pageSize: 10, polling: {interval: 20}});
+		return helpers.waitFor(function() {
+			return viewport.pagination.page === 1 && !viewport.flags.isLoading;
+		});
+	});
+
+	afterEach(function() {
+		viewport.destroy();
+		// A polling may still be waiting for its answer
+		$rootScope.$destroy();
+		window.close();
+	});
+
+	it("counts the new items in the total number of results", function() {
+		return helpers.waitFor(function() {
+			return viewport.allObjects.length === 3;
+		}).then(function() {
+			assert.strictEqual(viewport.pagination.numberResults, 3);
+			assert.strictEqual(viewport.pagination.numberPages, 1);
+			assert.strictEqual(viewport.pagination.firstItem, 1);
+			assert.strictEqual(viewport.pagination.lastItem, 3);
+		});
+	});
+
+	it("doesn't count the deleted items", function() {
+		return helpers.waitFor(function() {
+			return viewport.allObjects.length === 3;
+		}).then(function() {
+			$rootScope.$apply(function() {
+				viewport.processDelete(null, [{id: 1}, {id: 4}]);
+			});
+			assert.strictEqual(viewport.pagination.numberResults, 2);
+			assert.strictEqual(viewport.pagination.lastItem, 2);
+		});
+	});
+
+	it("counts the items that were already shown only once", function() {
+		return helpers.waitFor(function() {
+			return service.queries.length >= 3;
+		}).then(function() {
+			assert.strictEqual(viewport.allObjects.length, 3);
+			assert.strictEqual(viewport.pagination.numberResults, 3);
+		});
+	});
+});